@@ -1,4 +1,6 @@
 // EventEngine - enhanced: transactions/undo-redo, HookEngine integration, per-listener metrics, serialization, DOM integration
+import RuleCheck from './ruleCheck.js';
+
 const EventEngine = (() => {
   const listeners = new Map(); // eventType -> [{ id, cb, once, priority, meta }]
   const wildcardListeners = []; // [{ id, patternRe, cb, once, priority, meta }]
@@ -11,11 +13,18 @@ const EventEngine = (() => {
   let txPointer = -1;
   let historyCap = 500;
   let debug = false;
+  let devMode = false; // when on, emit()/emitAsync() reject payloads that break their event contract
+  const eventContracts = new Map(); // eventType -> { schema, description, definedAt }
 
   // adapters
   let stateAPI = null; // { set, get, subscribe, batchSet }
   let hookAPI = null;  // HookEngine instance: { trigger }
   let layoutAPI = null; // optional
+
+  // durable event log + projections
+  let eventLog = null; // { store, filter } when enabled
+  let logSeq = 0;
+  const projections = new Map(); // name -> { componentId, matches, reducer, initial, state }
   const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
 
   // utils
@@ -53,7 +62,7 @@ const EventEngine = (() => {
       const op = tx.ops[i];
       try {
         if (op.type === 'on') off(op.eventType, op.cbId);
-        else if (op.type === 'off') (op.entry && on(op.eventType, op.entry.cb, { once: op.entry.once, priority: op.entry.priority, meta: op.entry.meta }));
+        else if (op.type === 'off') (op.entry && on(op.eventType, op.entry.rawCb || op.entry.cb, { once: op.entry.once, priority: op.entry.priority, meta: op.entry.meta, flow: op.entry.flow, retry: op.entry.retry }));
         else if (op.type === 'registerArchetype') archetypes.delete(op.name);
         else if (op.type === 'unregisterArchetype') archetypes.set(op.name, op.prev);
       } catch (e) { log('rollback op failed', e); }
@@ -79,7 +88,7 @@ const EventEngine = (() => {
       const next = txHistory[txPointer + 1];
       for (const op of next.ops) {
         try {
-          if (op.type === 'on') on(op.eventType, op.cb, { once: op.once, priority: op.priority, meta: op.meta });
+          if (op.type === 'on') on(op.eventType, op.cb, { once: op.once, priority: op.priority, meta: op.meta, flow: op.flow, retry: op.retry });
           else if (op.type === 'off') off(op.eventType, op.cbId);
           else if (op.type === 'registerArchetype') archetypes.set(op.name, op.payload);
         } catch (e) { log('redo op failed', e); }
@@ -92,33 +101,141 @@ const EventEngine = (() => {
 
   // metrics helpers
   function _ensureMetrics(eventType) { if (!metrics.has(eventType)) metrics.set(eventType, new Map()); return metrics.get(eventType); }
-  function _recordListenerMetric(eventType, listenerId, duration, isError = false) {
+  // flow: 'dropped' | 'coalesced' | 'retries' | 'deadLettered' bumps that counter only (see _buildFlow, _listenerFailed)
+  function _recordListenerMetric(eventType, listenerId, duration, isError = false, flow = null) {
     const m = _ensureMetrics(eventType);
-    if (!m.has(listenerId)) m.set(listenerId, { count: 0, avgTime: 0, errors: 0 });
+    if (!m.has(listenerId)) m.set(listenerId, { count: 0, avgTime: 0, errors: 0, dropped: 0, coalesced: 0, retries: 0, deadLettered: 0 });
     const entry = m.get(listenerId);
+    if (flow) { entry[flow] = (entry[flow] || 0) + 1; return; }
     entry.count++;
     entry.avgTime = (entry.avgTime * (entry.count - 1) + duration) / entry.count;
     if (isError) entry.errors++;
   }
 
   // registration
-  function on(eventType, cb, { once = false, priority = 0, meta = {} } = {}) {
+  function _patternRe(pattern) { return new RegExp('^' + pattern.split('*').map(s => s.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'); }
+  function on(eventType, cb, { once = false, priority = 0, meta = {}, flow = null, retry = null, ...flowOpts } = {}) {
     if (!eventType || typeof cb !== 'function') throw createError('invalid args', 'INVALID_ARGS');
+    if (retry && typeof retry !== 'object') retry = { attempts: Number(retry) || 1 }; // retry: 3 is shorthand for { attempts: 3 }
     const id = genId();
+    const ops = flow || _flowOpsFromOptions(flowOpts);
+    const item = { id, cb, once, priority, meta };
+    if (retry) item.retry = retry;
+    const built = ops.length ? _buildFlow(eventType, item, cb, ops) : null;
+    if (built) Object.assign(item, { cb: built.fn, rawCb: cb, flow: ops, dispose: built.dispose });
     if (eventType.includes('*') || eventType.includes('?')) {
-      const re = new RegExp('^' + eventType.split('*').map(s => s.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
-      wildcardListeners.push({ id, patternRe: re, cb, once, priority, meta });
+      item.pattern = eventType;
+      item.patternRe = _patternRe(eventType);
+      wildcardListeners.push(item);
       wildcardListeners.sort((a,b)=> (b.priority||0) - (a.priority||0));
     } else {
       if (!listeners.has(eventType)) listeners.set(eventType, []);
-      listeners.get(eventType).push({ id, cb, once, priority, meta });
+      listeners.get(eventType).push(item);
       listeners.get(eventType).sort((a,b)=> (b.priority||0) - (a.priority||0));
     }
     // record tx
-    if (transactions.length) transactions[transactions.length - 1].ops.push({ type: 'on', eventType, cbId: id, cb, once, priority, meta });
+    if (transactions.length) transactions[transactions.length - 1].ops.push({ type: 'on', eventType, cbId: id, cb, once, priority, meta, flow: built ? ops : undefined, retry: retry || undefined });
     return id;
   }
 
+  // flow control: each operator is (arg) => (next, ctx) => (payload, ev, level) => ...; the last `next` delivers to the listener
+  const flowOperators = {
+    filter: (fn) => (next, ctx) => (p, ev, lv) => fn(p, ev) ? next(p, ev, lv) : ctx.report('dropped', lv),
+    map: (fn) => (next) => (p, ev, lv) => next(fn(p, ev), ev, lv),
+    distinct: (sel = true) => (next, ctx) => {
+      const keyOf = typeof sel === 'function' ? sel : (p) => JSON.stringify(p);
+      let has = false, last;
+      return (p, ev, lv) => { const k = keyOf(p); if (has && Object.is(k, last)) return ctx.report('dropped', lv); has = true; last = k; return next(p, ev, lv); };
+    },
+    debounce: (ms) => (next, ctx) => {
+      let timer = null, args = null;
+      return (p, ev, lv) => {
+        if (timer) { ctx.cancel(timer); ctx.report('coalesced', lv); }
+        args = [p, ev, lv];
+        timer = ctx.later(ms, () => { timer = null; next(...args); });
+      };
+    },
+    throttle: (opt) => (next, ctx) => {
+      const { ms, trailing = true } = typeof opt === 'number' ? { ms: opt } : opt;
+      let until = 0, timer = null, pending = null;
+      return (p, ev, lv) => {
+        const t = Date.now();
+        if (t >= until && !timer) { until = t + ms; return next(p, ev, lv); }
+        if (!trailing) return ctx.report('dropped', lv);
+        if (pending) ctx.report('coalesced', lv);
+        pending = [p, ev, lv];
+        if (!timer) timer = ctx.later(Math.max(0, until - t), () => { timer = null; const a = pending; pending = null; until = Date.now() + ms; next(...a); });
+      };
+    },
+    sample: (ms) => (next, ctx) => {
+      let timer = null, latest = null;
+      const tick = () => { if (!latest) { timer = null; return; } const a = latest; latest = null; timer = ctx.later(ms, tick); next(...a); };
+      return (p, ev, lv) => { if (latest) ctx.report('coalesced', lv); latest = [p, ev, lv]; if (!timer) timer = ctx.later(ms, tick); };
+    },
+    // delivers an array of payloads once `count` arrived or `time` ms passed since the first one
+    buffer: (opt) => (next, ctx) => {
+      const { time = 0, count = 0 } = typeof opt === 'number' ? { time: opt } : opt;
+      if (!time && !count) throw createError('buffer needs time or count','INVALID_ARGS');
+      let items = [], timer = null, lastEv = null, lastLv;
+      const flush = () => {
+        if (timer) { ctx.cancel(timer); timer = null; }
+        if (!items.length) return;
+        const batch = items; items = [];
+        for (let i = 1; i < batch.length; i++) ctx.report('coalesced', lastLv);
+        return next(batch, lastEv, lastLv);
+      };
+      return (p, ev, lv) => {
+        items.push(p); lastEv = ev; lastLv = lv;
+        if (count && items.length >= count) return flush();
+        if (time && !timer) timer = ctx.later(time, () => { timer = null; flush(); });
+      };
+    }
+  };
+  // on() options are applied in a fixed order: filter, map, distinct, then debounce/throttle/sample/buffer
+  function _flowOpsFromOptions(opts) {
+    return ['filter', 'map', 'distinct', 'debounce', 'throttle', 'sample', 'buffer'].filter(n => opts[n] !== undefined && opts[n] !== false).map(name => ({ name, arg: opts[name] }));
+  }
+  // the flow head is what emit() calls; metrics, once-removal and retry happen in deliver, when cb actually runs
+  function _buildFlow(eventType, item, cb, ops) {
+    const id = item.id;
+    const timers = new Set();
+    const ctx = {
+      report: (kind, lv) => _recordListenerMetric(lv || eventType, id, 0, false, kind),
+      later: (ms, fn) => { const h = setTimeout(() => { timers.delete(h); fn(); }, ms); timers.add(h); return h; },
+      cancel: (h) => { clearTimeout(h); timers.delete(h); }
+    };
+    // deferred deliveries happen outside emit(), so errors and retries are handled here
+    const deliver = (p, ev, lv) => {
+      const level = lv || eventType; const t0 = now();
+      const done = (r) => { _recordListenerMetric(level, id, now() - t0, false); if (item.once) off(eventType, id); return r; };
+      const failed = (e) => {
+        _recordListenerMetric(level, id, now() - t0, true);
+        for (const g of globalHooks.error) try { g({ eventType: ev ? ev.type : level, error: e, listenerId: id }); } catch (_) {}
+        // retries re-run the callback with the payload as the flow delivered it, not the whole pipeline
+        _listenerFailed(level, Object.assign({}, item, { cb, flow: null }), p, ev, e);
+      };
+      let res;
+      try { res = cb(p, ev); } catch (e) { return failed(e); }
+      return res && typeof res.then === 'function' ? res.then(done, failed) : done(res);
+    };
+    let fn = deliver;
+    for (const op of ops.slice().reverse()) {
+      if (!flowOperators[op.name]) throw createError(`unknown flow operator ${op.name}`,'INVALID_ARGS');
+      fn = flowOperators[op.name](op.arg)(fn, ctx);
+    }
+    const head = fn;
+    return { fn: (p, ev) => head(p, ev, ev && ev.currentTarget), dispose: () => { timers.forEach(h => clearTimeout(h)); timers.clear(); } };
+  }
+  // chainable form: stream('pointer:move').distinct().throttle(16).subscribe(cb) -> listener id
+  function stream(eventType) {
+    const ops = [];
+    const chain = {};
+    for (const name of Object.keys(flowOperators)) chain[name] = (arg) => { ops.push({ name, arg }); return chain; };
+    chain.subscribe = (cb, opts = {}) => on(eventType, cb, Object.assign({}, opts, { flow: ops.slice() }));
+    return chain;
+  }
+  function _disposeListener(item) { if (item && typeof item.dispose === 'function') item.dispose(); }
+
   function off(eventType, cbOrId) {
     if (!eventType) return;
     const removeById = (arr, id) => {
@@ -133,18 +250,20 @@ const EventEngine = (() => {
       // remove wildcard by id or cb ref
       for (let i = wildcardListeners.length - 1; i >= 0; i--) {
         const item = wildcardListeners[i];
-        if (typeof cbOrId === 'string' ? item.id === cbOrId : item.cb === cbOrId) {
+        if (typeof cbOrId === 'string' ? item.id === cbOrId : (item.cb === cbOrId || item.rawCb === cbOrId)) {
           const removed = wildcardListeners.splice(i,1)[0];
+          _disposeListener(removed);
           if (transactions.length) transactions[transactions.length - 1].ops.push({ type:'off', eventType, cbId: removed.id, entry: removed });
         }
       }
       return;
     }
     if (!listeners.has(eventType)) return;
-    if (!cbOrId) { const removedAll = listeners.get(eventType).slice(); listeners.delete(eventType); if (transactions.length) transactions[transactions.length - 1].ops.push({ type:'off', eventType, removed: removedAll }); return; }
+    if (!cbOrId) { const removedAll = listeners.get(eventType).slice(); listeners.delete(eventType); removedAll.forEach(_disposeListener); if (transactions.length) transactions[transactions.length - 1].ops.push({ type:'off', eventType, removed: removedAll }); return; }
     // by id
     const arr = listeners.get(eventType);
     const removed = removeById(arr, cbOrId);
+    _disposeListener(removed);
     if (removed && transactions.length) transactions[transactions.length - 1].ops.push({ type:'off', eventType, cbId: removed.id, entry: removed });
     if (arr.length === 0) listeners.delete(eventType);
   }
@@ -169,83 +288,125 @@ const EventEngine = (() => {
     return () => { document.removeEventListener(eventName, h, capture); domDelegates.delete({ selector, eventName, handler:h, capture }); };
   }
 
-  // emit sync
-  function emit(eventType, payload = {}) {
+  // namespaces: 'a:b:c' is delivered to 'a:b:c' (plus matching wildcards), then bubbles to exact listeners on 'a:b', then 'a'
+  function _propagationPath(eventType, bubbles) {
+    const out = [eventType];
+    if (!bubbles) return out;
+    const parts = eventType.split(':');
+    for (let i = parts.length - 1; i > 0; i--) out.push(parts.slice(0, i).join(':'));
+    return out;
+  }
+  function _listenersAt(level, eventType) { return level === eventType ? _matchListeners(eventType) : (listeners.get(level) || []).slice(); }
+  // second argument every listener receives; keeps eventType/seq from the old ctx object.
+  // bridged: { bridge, id, hops } when the event arrived over a bridge, else null
+  function _createEvent(eventType, payload, seq, { bubbles = true, cancelable = true, bridged = null } = {}) {
+    const ev = {
+      type: eventType, eventType, payload, seq, bubbles, cancelable,
+      bridged: bridged ? { bridge: bridged.bridge.name, id: bridged.msg.id, hops: bridged.msg.hops.slice() } : null,
+      currentTarget: eventType, phase: 'target',
+      defaultPrevented: false, propagationStopped: false, immediatePropagationStopped: false,
+      stopPropagation() { ev.propagationStopped = true; },
+      stopImmediatePropagation() { ev.propagationStopped = true; ev.immediatePropagationStopped = true; },
+      preventDefault() { if (ev.cancelable) ev.defaultPrevented = true; }
+    };
+    return ev;
+  }
+  function _enterLevel(ev, level) { ev.currentTarget = level; ev.phase = level === ev.type ? 'target' : 'bubble'; }
+
+  // emit sync; returns true when at least one listener handled it, or the event object itself
+  // (defaultPrevented, propagationStopped, ...) with { returnEvent: true }. bridged is set by _bridgeIn only
+  function emit(eventType, payload = {}, { bubbles = true, cancelable = true, returnEvent = false, bridged = null } = {}) {
     if (!eventType || typeof eventType !== 'string') throw createError('eventType required','INVALID_EVENT');
+    if (devMode) _assertPayload(eventType, payload);
     const start = now();
-    const entry = { eventType, payload, time: Date.now(), results: [], error: null, performance: null };
+    const entry = { eventType, payload, time: Date.now(), results: [], error: null, performance: null, defaultPrevented: false };
     // call hookAPI.before if attached
     if (hookAPI && typeof hookAPI.trigger === 'function') {
       try { hookAPI.trigger(`event:before:${eventType}`, { eventType, payload }); } catch (e) { log('hookAPI before error', e); }
     }
     for (const g of globalHooks.before) try { g({ eventType, payload }); } catch (e) { log('global before hook err', e); }
-    const matched = [];
-    if (listeners.has(eventType)) matched.push(...listeners.get(eventType));
-    for (const w of wildcardListeners) if (w.patternRe.test(eventType)) matched.push(w);
-    matched.sort((a,b)=>(b.priority||0)-(a.priority||0));
-    for (const ln of matched.slice()) {
-      const t0 = now();
-      try {
-        const res = ln.cb(payload, { eventType });
-        const dur = now() - t0;
-        _recordListenerMetric(eventType, ln.id, dur, false);
-        entry.results.push({ listenerId: ln.id, result: res, duration: dur });
-        if (ln.once) off(eventType, ln.id);
-      } catch (e) {
-        const dur = now() - t0;
-        _recordListenerMetric(eventType, ln.id, dur, true);
-        entry.error = e;
-        for (const g of globalHooks.error) try { g({ eventType, error: e }); } catch (_) {}
+    const seq = _appendLog(eventType, payload);
+    _bridgeOut(eventType, payload, bridged);
+    const ev = _createEvent(eventType, payload, seq, { bubbles, cancelable, bridged });
+    for (const level of _propagationPath(eventType, bubbles)) {
+      _enterLevel(ev, level);
+      for (const ln of _listenersAt(level, eventType)) {
+        if (ev.immediatePropagationStopped) break;
+        const t0 = now();
+        try {
+          const res = ln.cb(payload, ev);
+          const dur = now() - t0;
+          if (!ln.flow) _recordListenerMetric(level, ln.id, dur, false); // flow listeners count in deliver
+          entry.results.push({ listenerId: ln.id, result: res, duration: dur, currentTarget: level });
+          if (ln.once && !ln.flow) off(level, ln.id);
+        } catch (e) {
+          const dur = now() - t0;
+          _recordListenerMetric(level, ln.id, dur, true);
+          entry.error = e;
+          for (const g of globalHooks.error) try { g({ eventType, error: e }); } catch (_) {}
+          _listenerFailed(level, ln, payload, ev, e);
+        }
       }
+      if (ev.propagationStopped) break;
     }
-    for (const g of globalHooks.after) try { g({ eventType, payload, results: entry.results }); } catch (e) { log('global after hook err', e); }
+    entry.defaultPrevented = ev.defaultPrevented;
+    for (const g of globalHooks.after) try { g({ eventType, payload, results: entry.results, defaultPrevented: ev.defaultPrevented }); } catch (e) { log('global after hook err', e); }
     // call hookAPI.after if attached (async fire-and-forget)
     if (hookAPI && typeof hookAPI.trigger === 'function') {
       try { hookAPI.trigger(`event:after:${eventType}`, { eventType, payload, results: entry.results }); } catch (e) { log('hookAPI after error', e); }
     }
     entry.performance = { duration: now() - start };
     _pushHistory(entry);
-    return entry.results.length > 0;
+    return returnEvent ? ev : entry.results.length > 0;
   }
 
-  // emit async with options
-  async function emitAsync(eventType, payload = {}, { parallel = true, timeout = 0 } = {}) {
+  // emit async with options; listeners within one namespace level run together when parallel,
+  // so stopImmediatePropagation only takes effect in sequential mode
+  async function emitAsync(eventType, payload = {}, { parallel = true, timeout = 0, bubbles = true, cancelable = true } = {}) {
     if (!eventType || typeof eventType !== 'string') throw createError('eventType required','INVALID_EVENT');
+    if (devMode) _assertPayload(eventType, payload);
     const start = now();
-    const entry = { eventType, payload, time: Date.now(), results: [], error: null, performance: null };
+    const entry = { eventType, payload, time: Date.now(), results: [], error: null, performance: null, defaultPrevented: false };
     for (const g of globalHooks.before) try { await Promise.resolve(g({ eventType, payload })); } catch (e) { log('global before hook err', e); }
     if (stateAPI && payload && payload._stateSet) {
       try { if (stateAPI.batchSet) await Promise.resolve(stateAPI.batchSet(payload._stateSet)); else Object.entries(payload._stateSet).forEach(([k,v])=>stateAPI.set(k,v)); } catch(e){ log('stateAPI set err', e); }
     }
-    const matched = [];
-    if (listeners.has(eventType)) matched.push(...listeners.get(eventType));
-    for (const w of wildcardListeners) if (w.patternRe.test(eventType)) matched.push(w);
-    matched.sort((a,b)=>(b.priority||0)-(a.priority||0));
-    const tasks = matched.map(ln => async () => {
+    const seq = _appendLog(eventType, payload);
+    _bridgeOut(eventType, payload);
+    const ev = _createEvent(eventType, payload, seq, { bubbles, cancelable });
+    const task = (ln, level) => async () => {
       const t0 = now();
       try {
-        const r = await Promise.resolve(ln.cb(payload, { eventType }));
+        const r = await Promise.resolve(ln.cb(payload, ev));
         const dur = now() - t0;
-        _recordListenerMetric(eventType, ln.id, dur, false);
-        if (ln.once) off(eventType, ln.id);
-        return { ok: true, listenerId: ln.id, result: r, duration: dur };
+        if (!ln.flow) _recordListenerMetric(level, ln.id, dur, false);
+        if (ln.once && !ln.flow) off(level, ln.id);
+        return { ok: true, listenerId: ln.id, result: r, duration: dur, currentTarget: level };
       } catch (e) {
         const dur = now() - t0;
-        _recordListenerMetric(eventType, ln.id, dur, true);
+        _recordListenerMetric(level, ln.id, dur, true);
         for (const g of globalHooks.error) try { await Promise.resolve(g({ eventType, error: e })); } catch(_) {}
-        return { ok: false, listenerId: ln.id, error: e, duration: dur };
+        _listenerFailed(level, ln, payload, ev, e);
+        return { ok: false, listenerId: ln.id, error: e, duration: dur, currentTarget: level };
       }
-    });
+    };
+    const withTimeout = (p) => timeout && timeout>0 ? Promise.race([p, new Promise((_,rej)=>setTimeout(()=>rej(createError('timeout','TIMEOUT')), timeout))]) : p;
     let results = [];
-    if (parallel) {
-      const p = Promise.all(tasks.map(t => t()));
-      try { results = timeout && timeout>0 ? await Promise.race([p, new Promise((_,rej)=>setTimeout(()=>rej(createError('timeout','TIMEOUT')), timeout))]) : await p; } catch (e) { entry.error = e; results = []; }
-    } else {
-      for (const t of tasks) {
-        try { const r = timeout && timeout>0 ? await Promise.race([t(), new Promise((_,rej)=>setTimeout(()=>rej(createError('timeout','TIMEOUT')), timeout))]) : await t(); results.push(r); } catch (e) { entry.error = e; results.push({ ok:false, error: e }); }
+    for (const level of _propagationPath(eventType, bubbles)) {
+      _enterLevel(ev, level);
+      const tasks = _listenersAt(level, eventType).map(ln => task(ln, level));
+      if (parallel) {
+        try { results.push(...await withTimeout(Promise.all(tasks.map(t => t())))); } catch (e) { entry.error = e; }
+      } else {
+        for (const t of tasks) {
+          if (ev.immediatePropagationStopped) break;
+          try { results.push(await withTimeout(t())); } catch (e) { entry.error = e; results.push({ ok:false, error: e }); }
+        }
       }
+      if (ev.propagationStopped) break;
     }
-    for (const g of globalHooks.after) try { await Promise.resolve(g({ eventType, payload, results })); } catch (e) { log('global after hook err', e); }
+    entry.defaultPrevented = ev.defaultPrevented;
+    for (const g of globalHooks.after) try { await Promise.resolve(g({ eventType, payload, results, defaultPrevented: ev.defaultPrevented })); } catch (e) { log('global after hook err', e); }
     entry.results = results;
     entry.performance = { duration: now() - start };
     _pushHistory(entry);
@@ -253,7 +414,539 @@ const EventEngine = (() => {
     if (hookAPI && typeof hookAPI.trigger === 'function') {
       try { hookAPI.trigger(`event:after:${eventType}`, { eventType, payload, results }); } catch (e) { log('hookAPI after error', e); }
     }
-    return { results, duration: entry.performance.duration, error: entry.error || null };
+    return { results, duration: entry.performance.duration, error: entry.error || null, defaultPrevented: ev.defaultPrevented };
+  }
+
+  function _matchListeners(eventType) {
+    const matched = [];
+    if (listeners.has(eventType)) matched.push(...listeners.get(eventType));
+    for (const w of wildcardListeners) if (w.patternRe.test(eventType)) matched.push(w);
+    matched.sort((a,b)=>(b.priority||0)-(a.priority||0));
+    return matched;
+  }
+
+  // durable event log: append-only records { seq, eventType, payload, time } in a pluggable store
+  // store interface: { append(record), load() => records | Promise<records>, clear() }
+  function createMemoryEventStore() {
+    const records = [];
+    return { name: 'memory', append: (r) => { records.push(JSON.parse(JSON.stringify(r))); }, load: () => records.slice(), clear: () => { records.length = 0; } };
+  }
+  function createWebStorageEventStore({ storage = (typeof localStorage !== 'undefined' ? localStorage : null), prefix = 'eventlog:', cap = 0 } = {}) {
+    if (!storage) throw createError('no storage available','NO_STORAGE');
+    const headKey = prefix + 'head';
+    const readHead = () => { try { return JSON.parse(storage.getItem(headKey)) || { first: 1, last: 0 }; } catch (_) { return { first: 1, last: 0 }; } };
+    return {
+      name: 'webstorage',
+      append(r) {
+        const head = readHead();
+        storage.setItem(prefix + r.seq, JSON.stringify(r));
+        head.last = r.seq; if (head.first > r.seq) head.first = r.seq;
+        while (cap > 0 && head.last - head.first + 1 > cap) storage.removeItem(prefix + head.first++);
+        storage.setItem(headKey, JSON.stringify(head));
+      },
+      load() {
+        const head = readHead(); const out = [];
+        for (let i = head.first; i <= head.last; i++) { const raw = storage.getItem(prefix + i); if (raw) try { out.push(JSON.parse(raw)); } catch (_) {} }
+        return out;
+      },
+      clear() { const head = readHead(); for (let i = head.first; i <= head.last; i++) storage.removeItem(prefix + i); storage.removeItem(headKey); }
+    };
+  }
+  async function enableEventLog({ store = createMemoryEventStore(), filter = null } = {}) {
+    if (!store || typeof store.append !== 'function' || typeof store.load !== 'function') throw createError('store must implement append/load','INVALID_STORE');
+    // filter: predicate (eventType, payload) or list of event patterns
+    const patterns = Array.isArray(filter) ? filter.map(_patternRe) : null;
+    const matches = typeof filter === 'function' ? filter : patterns ? (ev) => patterns.some(re => re.test(ev)) : () => true;
+    const existing = await Promise.resolve(store.load());
+    logSeq = existing.reduce((m, r) => Math.max(m, r.seq || 0), 0);
+    eventLog = { store, matches };
+    log('event log enabled', store.name || 'custom', logSeq);
+    return disableEventLog;
+  }
+  function disableEventLog() { eventLog = null; }
+  function _appendLog(eventType, payload) {
+    let record = null;
+    if (eventLog && eventLog.matches(eventType, payload)) {
+      record = { seq: ++logSeq, eventType, payload, time: Date.now() };
+      try {
+        Promise.resolve(eventLog.store.append(record)).catch(e => _logError(eventType, e));
+      } catch (e) { _logError(eventType, e); }
+    }
+    _applyProjections(record || { eventType, payload, time: Date.now() });
+    return record ? record.seq : undefined;
+  }
+  function _logError(eventType, e) {
+    const err = createError('event log append failed','LOG_APPEND_FAILED', { eventType, error: e });
+    log(err.message, e);
+    for (const g of globalHooks.error) try { g({ eventType, error: err }); } catch (_) {}
+  }
+  async function getEventLog({ fromSeq = 0, toSeq = Infinity, eventType = null } = {}) {
+    if (!eventLog) return [];
+    const re = eventType ? _patternRe(eventType) : null;
+    const records = await Promise.resolve(eventLog.store.load());
+    return records.filter(r => r.seq >= fromSeq && r.seq <= toSeq && (!re || re.test(r.eventType))).sort((a, b) => a.seq - b.seq);
+  }
+  async function clearEventLog() { if (eventLog && typeof eventLog.store.clear === 'function') await Promise.resolve(eventLog.store.clear()); logSeq = 0; }
+  // re-deliver logged events; target: listener ids, a callback, or (default) every currently matching listener.
+  // Listeners get their raw callback (replay bypasses debounce/throttle) and once listeners are removed after one delivery
+  async function replay(fromSeq = 0, toSeq = Infinity, { listenerIds = null, to = null, eventType = null } = {}) {
+    const records = await getEventLog({ fromSeq, toSeq, eventType });
+    const ids = listenerIds ? new Set([].concat(listenerIds)) : null;
+    let delivered = 0;
+    for (const r of records) {
+      const ctx = { eventType: r.eventType, seq: r.seq, replay: true };
+      const targets = typeof to === 'function' ? [{ id: 'replay', cb: to }] : _matchListeners(r.eventType).filter(ln => !ids || ids.has(ln.id));
+      for (const ln of targets) {
+        const t0 = now();
+        try {
+          await Promise.resolve((ln.rawCb || ln.cb)(r.payload, ctx));
+          delivered++;
+          if (ln.id !== 'replay') { _recordListenerMetric(r.eventType, ln.id, now() - t0, false); if (ln.once) off(ln.pattern || r.eventType, ln.id); }
+        }
+        catch (e) {
+          if (ln.id !== 'replay') _recordListenerMetric(r.eventType, ln.id, now() - t0, true);
+          for (const g of globalHooks.error) try { g({ eventType: r.eventType, error: e, seq: r.seq, replay: true }); } catch (_) {}
+        }
+      }
+    }
+    _pushHistory({ eventType: 'replay', payload: { fromSeq, toSeq, events: records.length, delivered }, time: Date.now(), results: [], error: null, performance: null });
+    return { events: records.length, delivered, lastSeq: records.length ? records[records.length - 1].seq : null };
+  }
+
+  // projections: reducers folding matching events into an object whose keys are written to a StateEngine component
+  function registerProjection(name, { componentId, events = ['*'], reducer, initial = {} } = {}) {
+    if (!name || !componentId || typeof reducer !== 'function') throw createError('name, componentId and reducer required','INVALID_ARGS');
+    const res = [].concat(events).map(_patternRe);
+    projections.set(name, { componentId, matches: (ev) => res.some(re => re.test(ev)), reducer, initial, state: _cloneInitial(initial) });
+    return () => projections.delete(name);
+  }
+  function _cloneInitial(initial) { return typeof initial === 'function' ? initial() : JSON.parse(JSON.stringify(initial)); }
+  function _applyProjections(record) {
+    for (const [name, p] of projections.entries()) {
+      if (!p.matches(record.eventType)) continue;
+      try {
+        const prev = p.state;
+        p.state = p.reducer(prev, record) || {};
+        _writeProjection(p, prev);
+      } catch (e) { log('projection error', name, e); }
+    }
+  }
+  function _writeProjection(p, prev) {
+    if (!stateAPI || typeof stateAPI.set !== 'function') return;
+    const next = p.state || {};
+    for (const k of Object.keys(next)) if (!prev || !Object.is(prev[k], next[k])) Promise.resolve(stateAPI.set(p.componentId, k, next[k])).catch(e => log('projection write err', e));
+    if (prev && typeof stateAPI.remove === 'function') for (const k of Object.keys(prev)) if (!(k in next)) try { stateAPI.remove(p.componentId, k); } catch (e) { log('projection remove err', e); }
+  }
+  // fold the whole log from scratch (e.g. after a reload or a reducer change)
+  async function rebuildProjection(name, { fromSeq = 0, toSeq = Infinity } = {}) {
+    const p = projections.get(name);
+    if (!p) throw createError('unknown projection','UNKNOWN_PROJECTION', { name });
+    // without a log there is nothing to fold: resetting would wipe the projection and its state keys
+    if (!eventLog) throw createError('no event log enabled','NO_EVENT_LOG', { name });
+    const records = await getEventLog({ fromSeq, toSeq });
+    const prev = p.state;
+    let state = _cloneInitial(p.initial);
+    for (const r of records) if (p.matches(r.eventType)) state = p.reducer(state, r) || {};
+    p.state = state;
+    _writeProjection(p, null);
+    if (prev && stateAPI && typeof stateAPI.remove === 'function') for (const k of Object.keys(prev)) if (!(k in state)) try { stateAPI.remove(p.componentId, k); } catch (_) {}
+    return state;
+  }
+  function getProjection(name) { const p = projections.get(name); return p ? p.state : undefined; }
+
+  // cross-context bridge: mirrors selected namespaces to workers, iframes, opener/parent windows or MessagePorts.
+  // Messages carry the ids of every context they passed through (hops) so an event never comes back to a context that already emitted it.
+  const BRIDGE_TAG = '__eventBridge';
+  const contextId = `ctx-${Date.now().toString(36)}-${Math.random().toString(36).slice(2,8)}`;
+  const bridges = new Map(); // name -> { name, kind, post, detach, match, serialize, deserialize, maxHops, direction, stats }
+  const seenBridgeMsgs = new Set(); // recent message ids, guards against diamond-shaped topologies
+  let bridgeMsgCounter = 0;
+  const _isWindow = (t) => { try { return !!t && t.window === t; } catch (_) { return false; } };
+  const _selfOrigin = () => (typeof location !== 'undefined' && location.origin) || null;
+  // namespaces: 'cart' covers 'cart' and 'cart:*'; patterns with * or ? use the same syntax as on()
+  function _namespaceMatcher(namespaces) {
+    if (!namespaces || namespaces === '*') return () => true;
+    const tests = [].concat(namespaces).map(ns => /[*?]/.test(ns) ? ((re) => (t) => re.test(t))(_patternRe(ns)) : (t) => t === ns || t.startsWith(ns + ':'));
+    return (t) => tests.some(fn => fn(t));
+  }
+  // serialization rules: 'json' (default) drops functions/undefined and turns Dates into ISO strings,
+  // 'structured' hands the payload to the structured clone algorithm, a function returns the wire value (undefined skips the event)
+  function _bridgeSerializer(rule) {
+    if (typeof rule === 'function') return rule;
+    if (rule === 'structured') return (p) => p;
+    if (rule === 'json') return (p) => p === undefined ? null : JSON.parse(JSON.stringify(p));
+    throw createError(`unknown serialize rule ${rule}`,'INVALID_ARGS');
+  }
+  function connectBridge(target, {
+    name = `bridge-${bridges.size + 1}`, namespaces = '*', direction = 'both', serialize = 'json', deserialize = null,
+    targetOrigin = null, allowedOrigins = null, channel = false, maxHops = 8
+  } = {}) {
+    if (!target) throw createError('bridge target required','INVALID_ARGS');
+    if (bridges.has(name)) throw createError(`bridge ${name} already connected`,'BRIDGE_EXISTS', { name });
+    if (target.tagName === 'IFRAME') target = target.contentWindow;
+    const bridge = { name, kind: null, post: null, detach: null, match: _namespaceMatcher(namespaces), namespaces, direction,
+      serialize: _bridgeSerializer(serialize), deserialize, maxHops, stats: { sent: 0, received: 0, dropped: 0 } };
+    let port = null;
+    if (_isWindow(target)) {
+      // windows need an explicit origin both ways; '*' has to be asked for
+      const origins = allowedOrigins ? [].concat(allowedOrigins) : [targetOrigin || _selfOrigin()].filter(Boolean);
+      const postOrigin = targetOrigin || origins[0];
+      if (!postOrigin) throw createError('targetOrigin required for window bridges','BRIDGE_ORIGIN_REQUIRED', { name });
+      if (channel) {
+        // hand one end of a MessageChannel to the window (see acceptBridges), then talk over the port only
+        const mc = new MessageChannel();
+        target.postMessage({ [BRIDGE_TAG]: 1, type: 'hello', name, origin: contextId }, postOrigin, [mc.port2]);
+        port = mc.port1;
+      } else {
+        const onMessage = (ev) => {
+          if (ev.source !== target) return;
+          if (!origins.includes('*') && !origins.includes(ev.origin)) { bridge.stats.dropped++; log('bridge origin rejected', name, ev.origin); return; }
+          _bridgeIn(bridge, ev.data);
+        };
+        globalThis.addEventListener('message', onMessage);
+        bridge.kind = 'window';
+        bridge.post = (msg) => target.postMessage(msg, postOrigin);
+        bridge.detach = () => globalThis.removeEventListener('message', onMessage);
+      }
+    } else port = target;
+    if (port) {
+      if (typeof port.postMessage !== 'function' || typeof port.addEventListener !== 'function') throw createError('target must be a window, iframe, worker or MessagePort','INVALID_BRIDGE_TARGET', { name });
+      const onMessage = (ev) => _bridgeIn(bridge, ev.data);
+      port.addEventListener('message', onMessage);
+      if (typeof port.start === 'function') port.start();
+      bridge.kind = channel ? 'channel' : 'port';
+      bridge.post = (msg) => port.postMessage(msg);
+      bridge.detach = () => { port.removeEventListener('message', onMessage); if (channel) try { port.close(); } catch (_) {} };
+    }
+    bridges.set(name, bridge);
+    log('bridge connected', name, bridge.kind);
+    return () => disconnectBridge(name);
+  }
+  function disconnectBridge(name) {
+    const b = bridges.get(name);
+    if (!b) return false;
+    try { b.detach(); } catch (_) {}
+    bridges.delete(name);
+    log('bridge disconnected', name);
+    return true;
+  }
+  // other side of connectBridge(win, { channel: true }): accepts MessagePorts offered by allowed origins
+  function acceptBridges({ allowedOrigins = null, ...opts } = {}) {
+    const origins = allowedOrigins ? [].concat(allowedOrigins) : [_selfOrigin()].filter(Boolean);
+    const onHello = (ev) => {
+      const msg = ev.data;
+      if (!msg || msg[BRIDGE_TAG] !== 1 || msg.type !== 'hello' || !ev.ports || !ev.ports[0]) return;
+      if (!origins.includes('*') && !origins.includes(ev.origin)) { log('bridge hello rejected', ev.origin); return; }
+      try { connectBridge(ev.ports[0], Object.assign({}, opts, { name: opts.name || msg.name })); } catch (e) { log('bridge accept failed', e); }
+    };
+    globalThis.addEventListener('message', onHello);
+    return () => globalThis.removeEventListener('message', onHello);
+  }
+  function listBridges() {
+    return Array.from(bridges.values()).map(b => ({ name: b.name, kind: b.kind, namespaces: b.namespaces, direction: b.direction, stats: Object.assign({}, b.stats) }));
+  }
+  function _rememberBridgeMsg(id) { seenBridgeMsgs.add(id); if (seenBridgeMsgs.size > 500) seenBridgeMsgs.delete(seenBridgeMsgs.values().next().value); }
+  // called from emit/emitAsync; remote events (inbound = { msg, bridge }, carried on the emit call itself) keep their
+  // id and hop list and are not sent back over the bridge they came from. Anything emitted while one is delivered is local
+  function _bridgeOut(eventType, payload, inbound = null) {
+    if (!bridges.size) return;
+    const id = inbound ? inbound.msg.id : `${contextId}-${(bridgeMsgCounter++).toString(36)}`;
+    const hops = inbound ? inbound.msg.hops.concat(contextId) : [contextId];
+    if (!inbound) _rememberBridgeMsg(id);
+    for (const b of bridges.values()) {
+      if (b.direction === 'in' || !b.match(eventType) || (inbound && inbound.bridge === b)) continue;
+      if (hops.length > b.maxHops) { b.stats.dropped++; continue; }
+      try {
+        const wire = b.serialize(payload, eventType);
+        if (wire === undefined) { b.stats.dropped++; continue; }
+        b.post({ [BRIDGE_TAG]: 1, type: 'event', id, hops, eventType, payload: wire });
+        b.stats.sent++;
+      } catch (e) {
+        b.stats.dropped++;
+        for (const g of globalHooks.error) try { g({ eventType, error: createError('bridge send failed','BRIDGE_SEND_FAILED', { bridge: b.name, error: e }) }); } catch (_) {}
+      }
+    }
+  }
+  function _bridgeIn(bridge, msg) {
+    if (!msg || msg[BRIDGE_TAG] !== 1 || msg.type !== 'event' || typeof msg.eventType !== 'string' || !Array.isArray(msg.hops)) return;
+    if (bridge.direction === 'out' || !bridge.match(msg.eventType) || msg.hops.includes(contextId) || seenBridgeMsgs.has(msg.id)) { bridge.stats.dropped++; return; }
+    _rememberBridgeMsg(msg.id);
+    bridge.stats.received++;
+    try {
+      const payload = bridge.deserialize ? bridge.deserialize(msg.payload, msg.eventType) : msg.payload;
+      emit(msg.eventType, payload, { bridged: { msg, bridge } });
+    } catch (e) {
+      for (const g of globalHooks.error) try { g({ eventType: msg.eventType, error: e, bridge: bridge.name }); } catch (_) {}
+    }
+  }
+
+  // sagas: multi-step workflows keyed on event types. steps[0].event starts an instance per correlation id,
+  // each later step waits (with timeout) for its event carrying the same id; a failure compensates finished steps in reverse
+  const sagas = new Map(); // name -> { name, steps, correlate, stepTimeout, listenerIds }
+  const sagaInstances = new Map(); // instanceId -> instance
+  let sagaHistoryCap = 100; // finished instances kept for inspection
+  function defineSaga(name, { steps = [], correlate = (p) => p && (p.correlationId !== undefined ? p.correlationId : p.id), stepTimeout = 0 } = {}) {
+    if (!name || sagas.has(name)) throw createError(name ? `saga ${name} already defined` : 'name required', name ? 'SAGA_EXISTS' : 'INVALID_NAME', { name });
+    if (!steps.length || steps.some(s => !s || !s.event || typeof s.handle !== 'function')) throw createError('steps need { event, handle }','INVALID_SAGA', { name });
+    const saga = { name, steps: steps.slice(), correlate, stepTimeout, listenerIds: [] };
+    for (const ev of new Set(saga.steps.map(s => s.event))) {
+      saga.listenerIds.push([ev, on(ev, (payload, e) => _sagaEvent(saga, ev, payload, e), { meta: { saga: name } })]);
+    }
+    sagas.set(name, saga);
+    return () => undefineSaga(name);
+  }
+  // running instances are cancelled (and compensated) unless keepRunning
+  function undefineSaga(name, { keepRunning = false } = {}) {
+    const saga = sagas.get(name);
+    if (!saga) return false;
+    for (const [ev, id] of saga.listenerIds) off(ev, id);
+    sagas.delete(name);
+    if (!keepRunning) for (const inst of sagaInstances.values()) if (inst.saga === name && !inst.finishedAt) cancelSaga(inst.id, 'saga undefined');
+    return true;
+  }
+  function _sagaEvent(saga, eventType, payload, e) {
+    if (e && e.currentTarget !== eventType) return; // bubbled from a child namespace
+    let correlationId;
+    try { correlationId = saga.correlate(payload, eventType); } catch (err) { log('saga correlate err', saga.name, err); return; }
+    if (correlationId === undefined || correlationId === null) return;
+    const inst = Array.from(sagaInstances.values()).find(i => i.saga === saga.name && i.correlationId === correlationId && !i.finishedAt);
+    if (!inst) {
+      if (saga.steps[0].event !== eventType) return;
+      const created = { id: `saga-${Date.now().toString(36)}-${Math.random().toString(36).slice(2,6)}`, saga: saga.name, correlationId, status: 'running', step: 0, data: {}, completedSteps: [], log: [], error: null, compensationErrors: [], startedAt: Date.now(), finishedAt: null, timer: null, queue: [], def: saga };
+      sagaInstances.set(created.id, created);
+      _sagaRun(created, eventType, payload);
+      return;
+    }
+    if (inst.status === 'running') { inst.queue.push([eventType, payload]); return; } // previous step still handling
+    if (inst.status === 'waiting' && inst.def.steps[inst.step].event === eventType) _sagaRun(inst, eventType, payload);
+  }
+  // instances run against the definition they started with (inst.def), so undefineSaga can't pull steps from under them
+  async function _sagaRun(inst, eventType, payload) {
+    const saga = inst.def;
+    const step = saga.steps[inst.step];
+    if (inst.timer) { clearTimeout(inst.timer); inst.timer = null; }
+    inst.status = 'running';
+    inst.log.push({ step: inst.step, event: eventType, time: Date.now() });
+    try {
+      await step.handle(payload, _sagaCtx(inst));
+    } catch (err) { return _sagaFail(inst, err); }
+    if (inst.status !== 'running') return; // cancelled or failed (and compensating) while the handler ran
+    inst.completedSteps.push(inst.step);
+    inst.step++;
+    if (inst.step >= saga.steps.length) return _sagaFinish(inst, 'completed');
+    inst.status = 'waiting';
+    const next = saga.steps[inst.step];
+    const ms = next.timeout !== undefined ? next.timeout : saga.stepTimeout;
+    if (ms > 0) inst.timer = setTimeout(() => { inst.timer = null; _sagaFail(inst, createError(`saga ${saga.name} timed out waiting for ${next.event}`,'SAGA_TIMEOUT', { instanceId: inst.id, step: inst.step, event: next.event })); }, ms);
+    // an event for the next step may have arrived while this one was handling
+    const qi = inst.queue.findIndex(([ev]) => ev === next.event);
+    if (qi !== -1) { const [ev, p] = inst.queue.splice(qi, 1)[0]; _sagaRun(inst, ev, p); }
+  }
+  function _sagaCtx(inst) {
+    return { instanceId: inst.id, correlationId: inst.correlationId, step: inst.step, data: inst.data, emit: (type, p) => emit(type, p) };
+  }
+  async function _sagaFail(inst, err) {
+    if (inst.finishedAt || inst.status === 'compensating') return;
+    const saga = inst.def;
+    if (inst.timer) { clearTimeout(inst.timer); inst.timer = null; }
+    inst.error = err;
+    inst.status = 'compensating';
+    for (const idx of inst.completedSteps.slice().reverse()) {
+      const step = saga.steps[idx];
+      if (!step || typeof step.compensate !== 'function') continue;
+      try { await step.compensate(_sagaCtx(Object.assign({}, inst, { step: idx }))); } catch (e) { inst.compensationErrors.push({ step: idx, error: e }); }
+    }
+    for (const g of globalHooks.error) try { g({ eventType: `saga:${saga.name}`, error: err, instanceId: inst.id }); } catch (_) {}
+    _sagaFinish(inst, 'failed');
+  }
+  function _sagaFinish(inst, status) {
+    inst.status = status;
+    inst.finishedAt = Date.now();
+    inst.queue.length = 0;
+    log('saga', status, inst.saga, inst.id);
+    try { emit(`saga:${inst.saga}:${status}`, { instanceId: inst.id, correlationId: inst.correlationId, data: inst.data, error: inst.error }); } catch (e) { log('saga finish emit err', e); }
+    const finished = Array.from(sagaInstances.values()).filter(i => i.finishedAt);
+    for (let i = 0; i < finished.length - sagaHistoryCap; i++) sagaInstances.delete(finished[i].id);
+  }
+  function cancelSaga(instanceId, reason = 'cancelled') {
+    const inst = sagaInstances.get(instanceId);
+    if (!inst || inst.finishedAt) return false;
+    _sagaFail(inst, createError(reason, 'SAGA_CANCELLED', { instanceId }));
+    return true;
+  }
+  function _sagaSnapshot(i) {
+    const { timer, queue, def, ...rest } = i;
+    return Object.assign({}, rest, { data: Object.assign({}, i.data), completedSteps: i.completedSteps.slice(), log: i.log.slice(), compensationErrors: i.compensationErrors.slice() });
+  }
+  // filter: { saga, status, correlationId, active (true = not finished) }
+  function getSagaInstances({ saga = null, status = null, correlationId, active } = {}) {
+    return Array.from(sagaInstances.values()).filter(i => (!saga || i.saga === saga) && (!status || i.status === status)
+      && (correlationId === undefined || i.correlationId === correlationId) && (active === undefined || active === !i.finishedAt)).map(_sagaSnapshot);
+  }
+  function getSagaInstance(instanceId) { const i = sagaInstances.get(instanceId); return i ? _sagaSnapshot(i) : null; }
+  function listSagas() { return Array.from(sagas.values()).map(s => ({ name: s.name, steps: s.steps.map(st => ({ event: st.event, timeout: st.timeout, compensates: typeof st.compensate === 'function' })), stepTimeout: s.stepTimeout })); }
+  function setSagaHistoryCap(cap) { if (typeof cap !== 'number' || cap < 0) throw createError('invalid cap','INVALID_HISTORY_CAP'); sagaHistoryCap = cap; }
+
+  // retries + dead letters: listeners registered with on(..., { retry: { attempts, backoff, delay, maxDelay } }) are re-run
+  // in the background after a failure; deliveries that still fail end up in the dead-letter queue
+  let deadLetterStore = null; // { load(), save(entries) }
+  let deadLetterCaptureAll = false; // also dead-letter failures of listeners without a retry policy
+  let deadLetterCap = 1000;
+  const deadLetters = []; // [{ id, eventType, currentTarget, listenerId, payload, error, attempts, firstFailedAt, lastFailedAt, meta }]
+  function createMemoryDeadLetterStore() { let saved = []; return { name: 'memory', load: () => saved.slice(), save: (entries) => { saved = entries.slice(); } }; }
+  function createWebStorageDeadLetterStore({ storage = (typeof localStorage !== 'undefined' ? localStorage : null), key = 'eventdlq' } = {}) {
+    if (!storage) throw createError('no storage available','NO_STORAGE');
+    return {
+      name: 'webstorage',
+      load() { try { return JSON.parse(storage.getItem(key)) || []; } catch (_) { return []; } },
+      save(entries) { storage.setItem(key, JSON.stringify(entries)); }
+    };
+  }
+  async function configureDeadLetters({ store = createMemoryDeadLetterStore(), captureAll = false, cap = 1000 } = {}) {
+    if (!store || typeof store.load !== 'function' || typeof store.save !== 'function') throw createError('store must implement load/save','INVALID_STORE');
+    deadLetterStore = store; deadLetterCaptureAll = !!captureAll; deadLetterCap = cap;
+    const loaded = await Promise.resolve(store.load());
+    const known = new Set(deadLetters.map(d => d.id));
+    for (const d of loaded || []) if (!known.has(d.id)) deadLetters.push(d);
+    deadLetters.sort((a,b) => a.firstFailedAt - b.firstFailedAt);
+    return deadLetters.length;
+  }
+  function _saveDeadLetters() {
+    if (!deadLetterStore) return;
+    try { Promise.resolve(deadLetterStore.save(deadLetters.slice())).catch(e => log('dead letter save err', e)); } catch (e) { log('dead letter save err', e); }
+  }
+  const _errorInfo = (e) => e && typeof e === 'object' ? { name: e.name, message: e.message, code: e.code } : { message: String(e) };
+  function _retryDelay(policy, attempt, error) {
+    if (typeof policy.backoff === 'function') return policy.backoff(attempt, error);
+    const base = policy.delay !== undefined ? policy.delay : 100;
+    const ms = policy.backoff === 'fixed' ? base : base * Math.pow(2, attempt - 1);
+    return policy.maxDelay !== undefined ? Math.min(ms, policy.maxDelay) : ms;
+  }
+  function _findListener(id) {
+    for (const [ev, arr] of listeners.entries()) { const l = arr.find(x => x.id === id); if (l) return { eventType: ev, listener: l }; }
+    const w = wildcardListeners.find(x => x.id === id);
+    return w ? { eventType: w.pattern, listener: w } : null;
+  }
+  // listener ids are per session; a dead letter also records { event, name } (registration type plus meta.name
+  // or meta.key) so it can find the re-registered listener after a reload
+  function _listenerIdentity(ln, level) {
+    const name = ln.meta && (ln.meta.name !== undefined ? ln.meta.name : ln.meta.key);
+    return { event: ln.pattern || level, name: name !== undefined ? name : null };
+  }
+  function _resolveDeadLetterListener(d) {
+    const found = _findListener(d.listenerId);
+    if (found || !d.listener || d.listener.name === null) return found;
+    const named = (l) => l.meta && (l.meta.name !== undefined ? l.meta.name : l.meta.key) === d.listener.name;
+    const l = (listeners.get(d.listener.event) || []).find(named) || wildcardListeners.find(w => w.pattern === d.listener.event && named(w));
+    return l ? { eventType: d.listener.event, listener: l } : null;
+  }
+  // called after a listener threw or rejected; attempt counts deliveries so far (1 = the original one)
+  function _listenerFailed(level, ln, payload, ev, error, attempt = 1) {
+    const policy = ln.retry;
+    if (policy && attempt < (policy.attempts || 1) && _findListener(ln.id)) {
+      setTimeout(async () => {
+        if (!_findListener(ln.id)) return _deadLetter(level, ln, payload, error, attempt, ev ? ev.type : level); // removed meanwhile
+        _recordListenerMetric(level, ln.id, 0, false, 'retries');
+        const t0 = now();
+        try {
+          await Promise.resolve(ln.cb(payload, ev));
+          _recordListenerMetric(level, ln.id, now() - t0, false);
+          if (ln.once) off(level, ln.id);
+        } catch (e) {
+          _recordListenerMetric(level, ln.id, now() - t0, true);
+          for (const g of globalHooks.error) try { g({ eventType: ev ? ev.type : level, error: e, listenerId: ln.id, attempt: attempt + 1 }); } catch (_) {}
+          _listenerFailed(level, ln, payload, ev, e, attempt + 1);
+        }
+      }, Math.max(0, _retryDelay(policy, attempt, error) || 0));
+      return;
+    }
+    if (policy || deadLetterCaptureAll) _deadLetter(level, ln, payload, error, attempt, ev ? ev.type : level);
+  }
+  function _deadLetter(level, ln, payload, error, attempts, eventType = level) {
+    const d = { id: `dl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2,6)}`, eventType, currentTarget: level, listenerId: ln.id, listener: _listenerIdentity(ln, level), beforeFlow: !!ln.flow, payload, error: _errorInfo(error), attempts, firstFailedAt: Date.now(), lastFailedAt: Date.now(), meta: ln.meta };
+    deadLetters.push(d);
+    while (deadLetterCap > 0 && deadLetters.length > deadLetterCap) deadLetters.shift();
+    _recordListenerMetric(level, ln.id, 0, false, 'deadLettered');
+    _saveDeadLetters();
+    log('dead letter', d.id, eventType, ln.id);
+    return d;
+  }
+  // filter: { eventType, listenerId, predicate }
+  function getDeadLetters({ eventType = null, listenerId = null, predicate = null } = {}) {
+    return deadLetters.filter(d => (!eventType || d.eventType === eventType) && (!listenerId || d.listenerId === listenerId) && (!predicate || predicate(d))).map(d => Object.assign({}, d));
+  }
+  // re-delivers to the original listener (or re-emits the event with { emit: true }); removed from the queue on success
+  async function replayDeadLetter(id, { emit: reEmit = false } = {}) {
+    const d = deadLetters.find(x => x.id === id);
+    if (!d) throw createError('unknown dead letter','UNKNOWN_DEAD_LETTER', { id });
+    try {
+      if (reEmit) await emitAsync(d.eventType, d.payload);
+      else {
+        const found = _resolveDeadLetterListener(d);
+        if (!found) throw createError('listener no longer registered','LISTENER_GONE', { listenerId: d.listenerId, listener: d.listener });
+        const ev = _createEvent(d.eventType, d.payload, null, { bubbles: false, cancelable: false });
+        _enterLevel(ev, d.currentTarget);
+        const t0 = now();
+        // failures inside a flow stored the payload as delivered, so they replay straight into the callback
+        const l = found.listener;
+        await Promise.resolve((d.beforeFlow ? l.cb : (l.rawCb || l.cb))(d.payload, ev));
+        _recordListenerMetric(d.currentTarget, l.id, now() - t0, false);
+      }
+      discardDeadLetter(id);
+      return { ok: true, id };
+    } catch (e) {
+      d.attempts++; d.lastFailedAt = Date.now(); d.error = _errorInfo(e);
+      _saveDeadLetters();
+      return { ok: false, id, error: e };
+    }
+  }
+  function discardDeadLetter(id) {
+    const i = deadLetters.findIndex(x => x.id === id);
+    if (i === -1) return false;
+    deadLetters.splice(i, 1);
+    _saveDeadLetters();
+    return true;
+  }
+  function clearDeadLetters(filter) {
+    const drop = new Set(getDeadLetters(filter).map(d => d.id));
+    for (let i = deadLetters.length - 1; i >= 0; i--) if (drop.has(deadLetters[i].id)) deadLetters.splice(i, 1);
+    _saveDeadLetters();
+    return drop.size;
+  }
+
+  // event contracts: schema rules are the ones StateEngine uses (see ruleCheck.js); a bare function is used as `validate`
+  const _asRule = (schema) => typeof schema === 'function' ? { validate: schema } : schema;
+  function defineEvent(eventType, schema = {}, { description = '' } = {}) {
+    if (!eventType || typeof eventType !== 'string' || /[*?]/.test(eventType)) throw createError('concrete eventType required','INVALID_EVENT');
+    if (!schema || (typeof schema !== 'object' && typeof schema !== 'function')) throw createError('schema must be an object or function','INVALID_SCHEMA', { eventType });
+    eventContracts.set(eventType, { schema, description, definedAt: Date.now() });
+    return () => eventContracts.delete(eventType);
+  }
+  function getEventDefinition(eventType) { return eventContracts.get(eventType) || null; }
+  // checks the event contract and any active archetype validators keyed by this eventType
+  function validatePayload(eventType, payload) {
+    const errors = [];
+    const c = eventContracts.get(eventType);
+    if (c) errors.push(...RuleCheck.checkRule(_asRule(c.schema), payload));
+    for (const [name, arch] of archetypes.entries()) {
+      const v = arch.active && arch.validators && arch.validators[eventType];
+      if (v) errors.push(...RuleCheck.checkRule(_asRule(v), payload).map(e => `[${name}] ${e}`));
+    }
+    return { ok: errors.length === 0, errors };
+  }
+  function _assertPayload(eventType, payload) {
+    const { ok, errors } = validatePayload(eventType, payload);
+    if (!ok) throw createError(`invalid payload for ${eventType}`,'INVALID_PAYLOAD', { eventType, payload, errors });
+  }
+  // catalog of every defined event with its schema and current listeners (exact listeners via listListeners, plus matching wildcards)
+  function getEventCatalog() {
+    const events = Array.from(eventContracts.entries()).sort(([a],[b]) => a.localeCompare(b)).map(([eventType, c]) => ({
+      eventType, description: c.description, schema: c.schema,
+      listeners: listListeners(eventType),
+      wildcardListeners: wildcardListeners.filter(w => w.patternRe.test(eventType)).map(w => ({ id: w.id, pattern: w.patternRe.source, priority: w.priority, meta: w.meta }))
+    }));
+    const undeclared = listListeners().events.filter(ev => !eventContracts.has(ev));
+    return { events, undeclared };
   }
 
   // archetype helpers
@@ -287,22 +980,34 @@ const EventEngine = (() => {
   function attachHookAPI(api) { hookAPI = api; return () => { hookAPI = null; }; }
   function attachLayoutAPI(api) { layoutAPI = api; return () => { layoutAPI = null; }; }
 
-  // serialization: only metadata (callbacks can't be serialized)
+  // serialization: only metadata (callbacks can't be serialized). Flow operators whose argument is a function
+  // are written as { name, fn: true } and a retry backoff function is dropped (falls back to exponential)
+  function _serializeOptions(l) {
+    const out = {};
+    if (l.flow) out.flow = l.flow.map(op => typeof op.arg === 'function' ? { name: op.name, fn: true } : { name: op.name, arg: op.arg });
+    if (l.retry) out.retry = l.retry;
+    return out;
+  }
   function serializeListeners() {
     const out = [];
     for (const [ev, arr] of listeners.entries()) {
-      for (const l of arr) out.push({ event: ev, id: l.id, once: l.once, priority: l.priority, meta: l.meta, hasCallback: typeof l.cb === 'function' });
+      for (const l of arr) out.push(Object.assign({ event: ev, id: l.id, once: l.once, priority: l.priority, meta: l.meta, hasCallback: typeof l.cb === 'function' }, _serializeOptions(l)));
     }
-    for (const w of wildcardListeners) out.push({ event: w.patternRe.source, id: w.id, once: w.once, priority: w.priority, meta: w.meta, wildcard: true, hasCallback: typeof w.cb === 'function' });
+    for (const w of wildcardListeners) out.push(Object.assign({ event: w.patternRe.source, id: w.id, once: w.once, priority: w.priority, meta: w.meta, wildcard: true, hasCallback: typeof w.cb === 'function' }, _serializeOptions(w)));
     return JSON.stringify({ listeners: out, archetypes: Array.from(archetypes.keys()) });
   }
+  // callbackResolver(item) returns the callback, or { cb, flow } to supply operators that need functions
   function deserializeListeners(serialized, callbackResolver = null) {
     try {
       const parsed = typeof serialized === 'string' ? JSON.parse(serialized) : serialized;
       for (const item of parsed.listeners || []) {
         if (callbackResolver && typeof callbackResolver === 'function') {
-          const cb = callbackResolver(item);
-          if (cb) on(item.event, cb, { once: item.once, priority: item.priority, meta: item.meta });
+          const resolved = callbackResolver(item);
+          const cb = typeof resolved === 'function' ? resolved : resolved && resolved.cb;
+          if (!cb) continue;
+          const flow = resolved && resolved.flow || item.flow;
+          if (flow && flow.some(op => op.fn)) { log('deserialize skipped listener, flow needs functions', item.event, item.id); continue; }
+          on(item.event, cb, { once: item.once, priority: item.priority, meta: item.meta, flow: flow || null, retry: item.retry || null });
         }
       }
       return true;
@@ -333,16 +1038,23 @@ const EventEngine = (() => {
 
   // debug
   function setDebug(v = true) { debug = !!v; }
+  function setDevMode(v = true) { devMode = !!v; }
 
   return {
-    on, off, once, emit, emitAsync,
+    on, off, once, emit, emitAsync, stream,
     addGlobalHook, registerArchetype, unregisterArchetype, setArchetypeActive,
     attachStateAPI, attachHookAPI, attachLayoutAPI,
     beginTransaction, commitTransaction, rollbackTransaction, undo, redo, txHistory,
     serializeListeners, deserializeListeners,
+    enableEventLog, disableEventLog, getEventLog, clearEventLog, replay, createMemoryEventStore, createWebStorageEventStore,
+    registerProjection, rebuildProjection, getProjection,
+    defineEvent, getEventDefinition, validatePayload, getEventCatalog, setDevMode,
+    connectBridge, disconnectBridge, acceptBridges, listBridges,
+    configureDeadLetters, createMemoryDeadLetterStore, createWebStorageDeadLetterStore, getDeadLetters, replayDeadLetter, discardDeadLetter, clearDeadLetters,
+    defineSaga, undefineSaga, cancelSaga, getSagaInstances, getSagaInstance, listSagas, setSagaHistoryCap,
     addDOMDelegate: addDOMDelegate, // alias for convenience
     getHistory, clearHistory, setHistoryCap, getMetrics, listListeners, setDebug,
-    _internal: { listeners, wildcardListeners, archetypes, metrics, txHistory }
+    _internal: { listeners, wildcardListeners, archetypes, metrics, txHistory, eventContracts, bridges, contextId, sagas, sagaInstances, deadLetters }
   };
 })();
 
@@ -3,7 +3,7 @@ const HookEngine = (() => {
   const hooks = new Map(); // hookName -> [entry]
   const globalHooks = { before: [], after: [], error: [] };
   const hookHistory = []; // structured history
-  const metrics = new Map(); // hookName -> { executionCount, averageTime, errorCount }
+  const metrics = new Map(); // hookName -> { executionCount, averageTime, errorCount, triggerCount, averageWallTime }
   const transactions = []; // active tx stack
   const txHistory = []; // committed txs
   let txPointer = -1;
@@ -12,7 +12,8 @@ const HookEngine = (() => {
   const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
 
   // adapters (opt-in)
-  let stateAPI = null;      // { set/get/subscribe/batchSet }
+  let stateAPI = null;      // StateEngine-shaped: set(componentId, key, value, opts) / get(componentId, key) / subscribe / batchSet
+  const STATE_COMPONENT = 'hooks'; // component every hook-owned state key lives under
   let domAPI = null;        // DOM adapter not required (uses document) but can be attached
   let narrativeAPI = null;  // { on(event, cb), track? }
   let layoutAPI = null;     // { build(container,type,items,ctx) }
@@ -39,7 +40,7 @@ const HookEngine = (() => {
 
   // helpers
   function ensureMetrics(name) {
-    if (!metrics.has(name)) metrics.set(name, { executionCount: 0, averageTime: 0, errorCount: 0 });
+    if (!metrics.has(name)) metrics.set(name, { executionCount: 0, averageTime: 0, errorCount: 0, triggerCount: 0, averageWallTime: 0 });
     return metrics.get(name);
   }
   function pushHistory(entry) {
@@ -79,9 +80,11 @@ const HookEngine = (() => {
       try {
         if (op.type === 'register') {
           hooks.delete(op.hookName);
+          _registryChanged();
         } else if (op.type === 'deregister') {
           if (!hooks.has(op.hookName)) hooks.set(op.hookName, []);
           hooks.get(op.hookName).push(...(op.removed || []));
+          _registryChanged();
         } else if (op.type === 'addGlobalHook') {
           globalHooks[op.phase] = globalHooks[op.phase].filter(c => c !== op.cb);
         } else if (op.type === 'removeGlobalHook') {
@@ -120,8 +123,10 @@ const HookEngine = (() => {
           if (op.type === 'register') {
             if (!hooks.has(op.hookName)) hooks.set(op.hookName, []);
             hooks.get(op.hookName).push(...(op.entry ? [op.entry] : []));
+            _registryChanged();
           } else if (op.type === 'deregister') {
             hooks.delete(op.hookName);
+            _registryChanged();
           } else if (op.type === 'addGlobalHook') {
             globalHooks[op.phase].push(op.cb);
           } else if (op.type === 'removeGlobalHook') {
@@ -136,9 +141,10 @@ const HookEngine = (() => {
   }
 
   // register/deregister
+  let entryCounter = 1;
   function register(hookName, callback, { priority = 0, meta = {} } = {}) {
     if (!hookName || typeof callback !== 'function') throw createError('invalid args', 'INVALID_ARGS');
-    const entry = { callback, priority: Number(priority) || 0, meta: Object.assign({}, meta), lastCalled: 0, callCount: 0, version: meta.version || 1 };
+    const entry = { id: `h-${Date.now().toString(36)}-${(entryCounter++).toString(36)}`, callback, priority: Number(priority) || 0, meta: Object.assign({}, meta), lastCalled: 0, callCount: 0, version: meta.version || 1 };
     if (!hooks.has(hookName)) hooks.set(hookName, []);
     hooks.get(hookName).push(entry);
     hooks.get(hookName).sort((a, b) => b.priority - a.priority);
@@ -151,6 +157,7 @@ const HookEngine = (() => {
     const removed = hooks.get(hookName).filter(e => !callback || e.callback === callback);
     if (!callback) hooks.delete(hookName); else hooks.set(hookName, hooks.get(hookName).filter(e => e.callback !== callback));
     recordTx({ type: 'deregister', hookName, removed });
+    if (removed.some(e => e.callback.ref)) _registryChanged();
     debug('deregistered', hookName);
   }
   function batchDeregister(filterFn) {
@@ -159,6 +166,7 @@ const HookEngine = (() => {
       const removed = entries.filter(e => !keep.includes(e));
       if (keep.length) hooks.set(name, keep); else hooks.delete(name);
       if (removed.length) recordTx({ type: 'deregister', hookName: name, removed });
+      if (removed.some(e => e.callback.ref)) _registryChanged();
     }
     info('batchDeregister completed');
   }
@@ -178,10 +186,53 @@ const HookEngine = (() => {
     return Promise.race([Promise.resolve(p), new Promise((_, rej) => setTimeout(() => rej(createError('timeout','TIMEOUT',{timeout})), timeout))]);
   }
 
+  // circuit breaker per entry: opens after `failures` errors within `window` ms, lets one trial call through
+  // after `cooldown` ms (half-open) and closes again when it succeeds. meta.breaker: true | false | { failures, window, cooldown }
+  let breakerDefaults = { enabled: false, failures: 5, window: 60000, cooldown: 30000 };
+  function configureCircuitBreaker(opts = {}) { breakerDefaults = Object.assign({}, breakerDefaults, opts); return Object.assign({}, breakerDefaults); }
+  function breakerConfig(entry) {
+    const b = entry.meta.breaker;
+    if (b === false || (!b && !breakerDefaults.enabled)) return null;
+    return Object.assign({}, breakerDefaults, typeof b === 'object' ? b : {});
+  }
+  function setBreakerState(hookName, entry, state) {
+    const br = entry.breaker;
+    const from = br.state;
+    if (from === state) return;
+    br.state = state;
+    if (state === 'open') { br.openedAt = Date.now(); br.trips++; }
+    if (state === 'closed') { br.failures = []; br.openedAt = 0; }
+    info('breaker', hookName, entry.id, from, '->', state);
+    publishMeta(`hook:breaker:${hookName}`, { hookName, entryId: entry.id, from, state, failures: br.failures.length, trips: br.trips, time: Date.now() });
+  }
+  // false when the call must be skipped; moves open -> half-open once the cooldown passed
+  function breakerAllows(hookName, entry, cfg) {
+    const br = entry.breaker || (entry.breaker = { state: 'closed', failures: [], openedAt: 0, trips: 0, trial: false });
+    if (br.state === 'open') {
+      if (Date.now() - br.openedAt < cfg.cooldown) return false;
+      setBreakerState(hookName, entry, 'half-open');
+    }
+    if (br.state === 'half-open') { if (br.trial) return false; br.trial = true; }
+    return true;
+  }
+  function breakerResult(hookName, entry, cfg, ok) {
+    const br = entry.breaker;
+    br.trial = false;
+    if (ok) { if (br.state === 'half-open') setBreakerState(hookName, entry, 'closed'); return; }
+    if (br.state === 'half-open') return setBreakerState(hookName, entry, 'open');
+    const t = Date.now();
+    br.failures = br.failures.filter(ts => t - ts < cfg.window);
+    br.failures.push(t);
+    if (br.failures.length >= cfg.failures) setBreakerState(hookName, entry, 'open');
+  }
+  function resetBreaker(hookName, entryId = null) {
+    for (const entry of hooks.get(hookName) || []) if (entry.breaker && (!entryId || entry.id === entryId)) { entry.breaker.trial = false; setBreakerState(hookName, entry, 'closed'); }
+  }
+
   // condition check for hook
-  async function checkCondition(entry, payload) {
+  async function checkCondition(entry, ...args) {
     if (typeof entry.meta.condition !== 'function') return true;
-    try { return !!(await entry.meta.condition(payload)); } catch (e) { debug('condition err', e); return false; }
+    try { return !!(await entry.meta.condition(...args)); } catch (e) { debug('condition err', e); return false; }
   }
 
   // cleanup expired hooks
@@ -190,48 +241,136 @@ const HookEngine = (() => {
     for (const [name, arr] of Array.from(hooks.entries())) {
       const keep = arr.filter(e => !e.meta.expires || e.meta.expires > nowTs);
       if (keep.length) hooks.set(name, keep); else hooks.delete(name);
+      if (keep.length < arr.length && arr.some(e => !keep.includes(e) && e.callback.ref)) _registryChanged();
     }
     debug('cleanupExpired');
   }
 
-  // trigger single hook
-  async function trigger(hookName, payload = {}) {
+  // execution modes + aggregation, per hook (setHookMode) or per call (trigger options)
+  const hookModes = new Map(); // hookName -> { mode, aggregate }
+  const MODES = ['sequential', 'parallel', 'race', 'first-non-null', 'all-settled'];
+  function setHookMode(hookName, { mode = 'sequential', aggregate = null } = {}) {
+    if (!MODES.includes(mode)) throw createError(`unknown mode ${mode}`, 'INVALID_MODE', { modes: MODES });
+    if (aggregate && typeof aggregate !== 'function' && !aggregators[aggregate]) throw createError(`unknown aggregate ${aggregate}`, 'INVALID_AGGREGATE');
+    hookModes.set(hookName, { mode, aggregate });
+    return () => hookModes.delete(hookName);
+  }
+  function getHookMode(hookName) { return Object.assign({ mode: 'sequential', aggregate: null }, hookModes.get(hookName)); }
+  // results arrive in priority order (highest first)
+  const aggregators = {
+    // higher priority keys win
+    merge: (results) => results.filter(r => r && typeof r === 'object' && !Array.isArray(r)).reduceRight((acc, r) => Object.assign(acc, r), {}),
+    concat: (results) => [].concat(...results.filter(r => r !== undefined)),
+    // most frequent result; ties go to the one a higher-priority entry returned first
+    vote: (results) => {
+      const tally = new Map();
+      results.forEach((r, i) => { if (r === undefined) return; const k = typeof r === 'object' ? JSON.stringify(r) : `${typeof r}:${String(r)}`; const t = tally.get(k) || { value: r, votes: 0, first: i }; t.votes++; tally.set(k, t); });
+      let best = null;
+      for (const t of tally.values()) if (!best || t.votes > best.votes || (t.votes === best.votes && t.first < best.first)) best = t;
+      return best ? best.value : undefined;
+    }
+  };
+
+  // trigger single hook; default mode collects each callback's result into an array, in priority order
+  async function trigger(hookName, payload = {}, opts = {}) {
     cleanupExpired();
     if (!hookName || typeof hookName !== 'string') throw createError('invalid hookName', 'INVALID_HOOK_NAME');
-    const entries = hooks.get(hookName) || [];
-    const results = [];
-    for (const g of globalHooks.before) try { await Promise.resolve(g({ hookName, payload })); } catch (e) { error('global before error', e); }
-    for (const entry of entries) {
-      const t0 = now();
-      try {
-        // rate limit
-        if (entry.meta.rateLimit) {
-          const minInterval = 60000 / entry.meta.rateLimit;
-          if (entry.lastCalled && Date.now() - entry.lastCalled < minInterval) throw createError('rate limit', 'RATE_LIMIT', { rateLimit: entry.meta.rateLimit });
-          entry.lastCalled = Date.now();
-        }
-        if (!(await checkCondition(entry, payload))) continue;
-        const res = await executeWithTimeout(() => entry.callback(payload), entry.meta.timeout);
-        const dur = now() - t0;
-        entry.callCount = (entry.callCount || 0) + 1;
-        const m = ensureMetrics(hookName);
-        m.executionCount++;
-        m.averageTime = (m.averageTime * (m.executionCount - 1) + dur) / m.executionCount;
-        results.push(res);
-        pushHistory({ hookName, meta: entry.meta, payload, result: res, time: Date.now(), error: null, performance: { duration: dur } });
-      } catch (e) {
-        const dur = now() - t0;
-        const m = ensureMetrics(hookName);
-        m.errorCount++;
-        pushHistory({ hookName, meta: entry.meta, payload, result: null, time: Date.now(), error: e, performance: { duration: dur } });
-        for (const gErr of globalHooks.error) try { await Promise.resolve(gErr({ hookName, error: e, payload })); } catch (ee) { error('global error hook failed', ee); }
-        try { if (typeof document !== 'undefined') document.dispatchEvent(new CustomEvent('hook:error', { bubbles: true, detail: { hookName, error: e, payload } })); } catch(_) {}
+    const { mode, aggregate } = Object.assign(getHookMode(hookName), opts);
+    if (!MODES.includes(mode)) throw createError(`unknown mode ${mode}`, 'INVALID_MODE', { modes: MODES });
+    // resolved up front so a bad per-call aggregate fails before any callback runs
+    const agg = typeof aggregate === 'function' ? aggregate : aggregate ? aggregators[aggregate] : null;
+    if (aggregate && !agg) throw createError(`unknown aggregate ${aggregate}`, 'INVALID_AGGREGATE');
+    const entries = (hooks.get(hookName) || []).slice();
+    const start = now();
+    let results = [];
+    let output;
+    for (const g of globalHooks.before) try { await Promise.resolve(g({ hookName, payload, mode })); } catch (e) { error('global before error', e); }
+    const run = (entry) => runEntry(hookName, entry, [payload], payload);
+    if (mode === 'sequential' || mode === 'first-non-null') {
+      for (const entry of entries) {
+        const r = await run(entry);
+        if (!r.ok) continue;
+        results.push(r.result);
+        if (mode === 'first-non-null' && r.result !== null && r.result !== undefined) { output = r.result; break; }
       }
+    } else if (mode === 'parallel' || mode === 'all-settled') {
+      const settled = await Promise.all(entries.map(run));
+      if (mode === 'all-settled') output = settled.map((r, i) => ({ entryId: entries[i].id, status: r.ok ? 'fulfilled' : r.skipped ? 'skipped' : 'rejected', value: r.result, reason: r.error }));
+      results = settled.filter(r => r.ok).map(r => r.result);
+    } else { // race: first successful callback wins, the rest keep running but are ignored
+      output = await new Promise((resolve) => {
+        let pending = entries.length, done = false;
+        if (!pending) resolve(undefined);
+        for (const entry of entries) run(entry).then((r) => {
+          if (r.ok && !done) { done = true; results.push(r.result); resolve(r.result); }
+          if (--pending === 0) resolve(undefined);
+        });
+      });
+    }
+    if (mode === 'sequential' || mode === 'parallel') output = agg ? agg(results) : results;
+    // wall-clock time of the whole trigger; averageTime stays per callback, so parallel runs don't add up
+    const m = ensureMetrics(hookName);
+    m.triggerCount++;
+    m.averageWallTime = (m.averageWallTime * (m.triggerCount - 1) + (now() - start)) / m.triggerCount;
+    for (const g of globalHooks.after) try { await Promise.resolve(g({ hookName, payload, results, result: output, mode })); } catch (e) { error('global after error', e); }
+    return output;
+  }
+
+  // run one entry with rate limit, condition, timeout, metrics and history; shared by trigger and applyFilters
+  async function runEntry(hookName, entry, args, payload) {
+    const cfg = breakerConfig(entry);
+    if (cfg && !breakerAllows(hookName, entry, cfg)) {
+      pushHistory({ hookName, entryId: entry.id, meta: entry.meta, payload, result: null, time: Date.now(), error: null, skipped: 'circuit-open', breaker: entry.breaker.state, performance: { duration: 0 } });
+      return { ok: false, skipped: true };
+    }
+    const t0 = now();
+    try {
+      // rate limit
+      if (entry.meta.rateLimit) {
+        const minInterval = 60000 / entry.meta.rateLimit;
+        if (entry.lastCalled && Date.now() - entry.lastCalled < minInterval) throw createError('rate limit', 'RATE_LIMIT', { rateLimit: entry.meta.rateLimit });
+        entry.lastCalled = Date.now();
+      }
+      if (!(await checkCondition(entry, ...args))) { if (cfg) entry.breaker.trial = false; return { ok: false, skipped: true }; }
+      const res = await executeWithTimeout(() => entry.callback(...args), entry.meta.timeout);
+      const dur = now() - t0;
+      entry.callCount = (entry.callCount || 0) + 1;
+      const m = ensureMetrics(hookName);
+      m.executionCount++;
+      m.averageTime = (m.averageTime * (m.executionCount - 1) + dur) / m.executionCount;
+      if (cfg) breakerResult(hookName, entry, cfg, true);
+      pushHistory({ hookName, entryId: entry.id, meta: entry.meta, payload, result: res, time: Date.now(), error: null, breaker: cfg ? entry.breaker.state : undefined, performance: { duration: dur } });
+      return { ok: true, result: res };
+    } catch (e) {
+      const dur = now() - t0;
+      const m = ensureMetrics(hookName);
+      m.errorCount++;
+      // rate-limited calls never ran, so they don't count against the breaker
+      if (cfg) { if (e.code === 'RATE_LIMIT') entry.breaker.trial = false; else breakerResult(hookName, entry, cfg, false); }
+      pushHistory({ hookName, entryId: entry.id, meta: entry.meta, payload, result: null, time: Date.now(), error: e, breaker: cfg ? entry.breaker.state : undefined, performance: { duration: dur } });
+      for (const gErr of globalHooks.error) try { await Promise.resolve(gErr({ hookName, error: e, payload })); } catch (ee) { error('global error hook failed', ee); }
+      try { if (typeof document !== 'undefined') document.dispatchEvent(new CustomEvent('hook:error', { bubbles: true, detail: { hookName, error: e, payload } })); } catch(_) {}
+      return { ok: false, error: e };
     }
-    for (const g of globalHooks.after) try { await Promise.resolve(g({ hookName, payload, results })); } catch (e) { error('global after error', e); }
-    return results;
   }
 
+  // filters: thread a value through every entry in priority order, each callback gets (value, ...args) and returns the new value.
+  // Skipped (condition/rate limit), failing or undefined-returning filters leave the value unchanged.
+  async function applyFilters(hookName, value, ...args) {
+    cleanupExpired();
+    if (!hookName || typeof hookName !== 'string') throw createError('invalid hookName', 'INVALID_HOOK_NAME');
+    const entries = (hooks.get(hookName) || []).slice();
+    for (const g of globalHooks.before) try { await Promise.resolve(g({ hookName, payload: value, args, filter: true })); } catch (e) { error('global before error', e); }
+    let current = value;
+    for (const entry of entries) {
+      const r = await runEntry(hookName, entry, [current, ...args], current);
+      if (r.ok && r.result !== undefined) current = r.result;
+    }
+    for (const g of globalHooks.after) try { await Promise.resolve(g({ hookName, payload: value, args, result: current, filter: true })); } catch (e) { error('global after error', e); }
+    return current;
+  }
+  function addFilter(hookName, callback, opts) { return register(hookName, callback, opts); }
+
   // batch trigger (parallel, concurrency control, batch timeout)
   async function batchTrigger(triggers = [], { concurrency = 4, batchTimeout = 0, stopOnError = false } = {}) {
     cleanupExpired();
@@ -326,21 +465,230 @@ const HookEngine = (() => {
   // stateful conveniences: persist hook registrations or versions into state store
   function persistHookMetadata(hookName, metaObj, opts = {}) {
     if (!stateAPI || typeof stateAPI.set !== 'function') return;
-    try { stateAPI.set(`hook:${hookName}:meta`, metaObj, Object.assign({ persist: true }, opts)); } catch (e) { debug('persistHookMeta err', e); }
+    try { Promise.resolve(stateAPI.set(STATE_COMPONENT, `hook:${hookName}:meta`, metaObj, Object.assign({ persist: true }, opts))).catch(e => debug('persistHookMeta err', e)); } catch (e) { debug('persistHookMeta err', e); }
+  }
+
+  // persistent registry: hooks registered against { module, export } handler references can be serialized with their
+  // priority and meta (conditions may be references too) and rehydrated on the next load; modules are imported on first call
+  let registryPersistence = null; // { key, storage, timer }
+  const _refKey = (ref) => `${ref.module}#${ref.export || 'default'}`;
+  async function _resolveRef(ref) {
+    const mod = await import(ref.module);
+    const fn = (ref.export || 'default').split('.').reduce((o, k) => (o == null ? undefined : o[k]), mod);
+    if (typeof fn !== 'function') throw createError(`handler ${_refKey(ref)} not found`, 'HANDLER_NOT_FOUND', { ref });
+    return fn;
+  }
+  function _lazyRef(ref) {
+    let fn = null;
+    const lazy = async (...args) => { if (!fn) fn = await _resolveRef(ref); return fn(...args); };
+    lazy.ref = { module: ref.module, export: ref.export || 'default' };
+    return lazy;
+  }
+  const _isRef = (v) => !!v && typeof v === 'object' && typeof v.module === 'string';
+  function registerRef(hookName, ref, { priority = 0, meta = {} } = {}) {
+    if (!_isRef(ref)) throw createError('handler reference needs { module, export }', 'INVALID_REF', { ref });
+    const m = Object.assign({}, meta);
+    if (_isRef(m.condition)) m.condition = _lazyRef(m.condition);
+    const off = register(hookName, _lazyRef(ref), { priority, meta: m });
+    _registryChanged();
+    return () => { off(); _registryChanged(); };
+  }
+  // only reference-backed entries can be serialized; plain callbacks are counted in `skipped`
+  function serializeRegistry() {
+    const out = []; let skipped = 0;
+    for (const [hookName, arr] of hooks.entries()) {
+      for (const e of arr) {
+        if (!e.callback.ref) { skipped++; continue; }
+        const meta = {};
+        for (const [k, v] of Object.entries(e.meta)) {
+          if (k === 'condition' && typeof v === 'function') { if (v.ref) meta.condition = v.ref; else { meta.condition = null; } }
+          else if (typeof v !== 'function') meta[k] = v;
+        }
+        if (meta.condition === null) { skipped++; continue; } // inline condition can't be restored faithfully
+        out.push({ hookName, ref: e.callback.ref, priority: e.priority, meta, version: e.version });
+      }
+    }
+    return { v: 1, savedAt: Date.now(), hooks: out, skipped };
+  }
+  // lazily re-registers every stored reference; expired and already registered ones are skipped
+  function rehydrateRegistry(data) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!parsed || !Array.isArray(parsed.hooks)) return 0;
+    const t = Date.now();
+    let count = 0;
+    for (const h of parsed.hooks) {
+      if (!h || !h.hookName || !_isRef(h.ref)) continue;
+      if (h.meta && h.meta.expires && h.meta.expires <= t) continue;
+      if ((hooks.get(h.hookName) || []).some(e => e.callback.ref && _refKey(e.callback.ref) === _refKey(h.ref))) continue;
+      registerRef(h.hookName, h.ref, { priority: h.priority, meta: h.meta || {} });
+      count++;
+    }
+    info('registry rehydrated', count);
+    return count;
+  }
+  // storage: explicit Storage-like object, else the attached StateEngine (STATE_COMPONENT), else localStorage
+  function _registryRead(key, storage) {
+    if (storage) { const raw = storage.getItem(key); return raw ? JSON.parse(raw) : null; }
+    if (stateAPI && typeof stateAPI.get === 'function') return stateAPI.get(STATE_COMPONENT, key) || null;
+    if (typeof localStorage !== 'undefined') { const raw = localStorage.getItem(key); return raw ? JSON.parse(raw) : null; }
+    return null;
+  }
+  function _registryWrite(key, storage, data) {
+    if (storage) return storage.setItem(key, JSON.stringify(data));
+    if (stateAPI && typeof stateAPI.set === 'function') return stateAPI.set(STATE_COMPONENT, key, data, { persist: true });
+    if (typeof localStorage !== 'undefined') localStorage.setItem(key, JSON.stringify(data));
+  }
+  function saveRegistry({ key = registryPersistence ? registryPersistence.key : 'hookRegistry', storage = registryPersistence ? registryPersistence.storage : null } = {}) {
+    const data = serializeRegistry();
+    try { Promise.resolve(_registryWrite(key, storage, data)).catch(e => error('registry save failed', e)); } catch (e) { error('registry save failed', e); }
+    return data;
+  }
+  // rehydrates now and saves again whenever reference-backed hooks change
+  function enableRegistryPersistence({ key = 'hookRegistry', storage = null } = {}) {
+    registryPersistence = { key, storage, timer: null };
+    let count = 0;
+    try { count = rehydrateRegistry(_registryRead(key, storage)); } catch (e) { error('registry rehydrate failed', e); }
+    return count;
+  }
+  function disableRegistryPersistence() { if (registryPersistence && registryPersistence.timer) clearTimeout(registryPersistence.timer); registryPersistence = null; }
+  function _registryChanged() {
+    const rp = registryPersistence;
+    if (!rp || rp.timer) return;
+    rp.timer = setTimeout(() => { rp.timer = null; if (registryPersistence === rp) saveRegistry(); }, 0);
+  }
+
+  // plugins: a manifest { id, version, hooks, requires, engines, activate(api), deactivate(api) } loaded by object or module specifier.
+  // Everything a plugin registers is tagged meta.plugin = id, so deactivation is one batchDeregister.
+  const plugins = new Map(); // id -> { manifest, status, error, activatedAt, disposers }
+  const engines = new Map(); // name -> api, for manifest `engines` dependencies
+  function registerEngine(name, api) { engines.set(name, api); return () => engines.delete(name); }
+  function _engine(name) {
+    const adapters = { StateEngine: stateAPI, NarrativeEngine: narrativeAPI, LayoutEngine: layoutAPI, SymbolEngine: symbolAPI, DOMEngine: domAPI };
+    return engines.get(name) || adapters[name] || null;
+  }
+  async function loadPlugin(source, { activate = false } = {}) {
+    let manifest = source;
+    if (typeof source === 'string') {
+      const mod = await import(source);
+      manifest = mod.default || mod.manifest || mod;
+      if (typeof manifest === 'function') manifest = await manifest();
+    }
+    if (!manifest || !manifest.id || !manifest.version) throw createError('plugin manifest needs id and version', 'INVALID_PLUGIN', { source: typeof source === 'string' ? source : undefined });
+    const existing = plugins.get(manifest.id);
+    if (existing && existing.status === 'active') throw createError(`plugin ${manifest.id} already active`, 'PLUGIN_ACTIVE', { id: manifest.id });
+    plugins.set(manifest.id, { manifest, status: 'loaded', error: null, activatedAt: 0, disposers: [], source: typeof source === 'string' ? source : null });
+    info('plugin loaded', manifest.id, manifest.version);
+    if (activate) await activatePlugin(manifest.id);
+    return manifest.id;
+  }
+  // dependency order (requires first); throws on unknown plugins and cycles
+  function resolvePluginOrder(ids = Array.from(plugins.keys())) {
+    const order = []; const state = new Map(); // id -> 'visiting' | 'done'
+    const visit = (id, from) => {
+      const p = plugins.get(id);
+      if (!p) throw createError(`missing plugin ${id}`, 'MISSING_DEPENDENCY', { id, requiredBy: from });
+      if (state.get(id) === 'done') return;
+      if (state.get(id) === 'visiting') throw createError(`plugin dependency cycle at ${id}`, 'DEPENDENCY_CYCLE', { id });
+      state.set(id, 'visiting');
+      for (const dep of p.manifest.requires || []) visit(dep, id);
+      state.set(id, 'done');
+      order.push(id);
+    };
+    for (const id of ids) visit(id, null);
+    return order;
+  }
+  async function loadPlugins(sources = [], { activate = true } = {}) {
+    const ids = [];
+    for (const src of sources) ids.push(await loadPlugin(src));
+    const order = resolvePluginOrder(ids);
+    if (activate) for (const id of order) await activatePlugin(id);
+    return order;
+  }
+  // scoped API handed to activate/deactivate: registrations are tagged and meta subscriptions are released on deactivate
+  function _pluginAPI(id, p) {
+    const tag = (opts = {}) => Object.assign({}, opts, { meta: Object.assign({}, opts.meta, { plugin: id }) });
+    return {
+      id, version: p.manifest.version,
+      register: (hookName, cb, opts) => register(hookName, cb, tag(opts)),
+      addFilter: (hookName, cb, opts) => register(hookName, cb, tag(opts)),
+      trigger, applyFilters, publishMeta, readMeta,
+      onMeta: (topic, cb) => { const off = onMeta(topic, cb); p.disposers.push(off); return off; },
+      engine: (name) => _engine(name)
+    };
+  }
+  async function activatePlugin(id, _chain = []) {
+    const p = plugins.get(id);
+    if (!p) throw createError(`unknown plugin ${id}`, 'UNKNOWN_PLUGIN', { id });
+    if (p.status === 'active') return true;
+    if (_chain.includes(id)) throw createError(`plugin dependency cycle at ${id}`, 'DEPENDENCY_CYCLE', { id, chain: _chain });
+    for (const dep of p.manifest.requires || []) {
+      if (!plugins.has(dep)) throw createError(`plugin ${id} requires ${dep}`, 'MISSING_DEPENDENCY', { id, dependency: dep });
+      await activatePlugin(dep, _chain.concat(id));
+    }
+    const missing = (p.manifest.engines || []).filter(name => !_engine(name));
+    if (missing.length) throw createError(`plugin ${id} needs engines ${missing.join(', ')}`, 'MISSING_ENGINE', { id, missing });
+    const api = _pluginAPI(id, p);
+    try {
+      for (const [hookName, spec] of Object.entries(p.manifest.hooks || {})) {
+        for (const h of [].concat(spec)) {
+          if (typeof h === 'function') api.register(hookName, h);
+          else api.register(hookName, h.handler, { priority: h.priority, meta: h.meta });
+        }
+      }
+      if (typeof p.manifest.activate === 'function') await p.manifest.activate(api);
+    } catch (e) {
+      // leave nothing half-registered
+      batchDeregister((meta) => !!meta && meta.plugin === id);
+      p.disposers.splice(0).forEach(fn => { try { fn(); } catch (_) {} });
+      p.status = 'failed'; p.error = e;
+      error('plugin activate failed', id, e);
+      throw createError(`plugin ${id} failed to activate`, 'PLUGIN_ACTIVATE_FAILED', { id, error: e });
+    }
+    p.status = 'active'; p.error = null; p.activatedAt = Date.now();
+    publishMeta(`plugin:${id}`, { id, version: p.manifest.version, status: 'active' });
+    info('plugin active', id);
+    return true;
+  }
+  // active dependents are deactivated first
+  async function deactivatePlugin(id) {
+    const p = plugins.get(id);
+    if (!p || p.status !== 'active') return false;
+    p.status = 'deactivating';
+    for (const [otherId, other] of plugins.entries()) if (other.status === 'active' && (other.manifest.requires || []).includes(id)) await deactivatePlugin(otherId);
+    if (typeof p.manifest.deactivate === 'function') {
+      try { await p.manifest.deactivate(_pluginAPI(id, p)); } catch (e) { error('plugin deactivate hook failed', id, e); }
+    }
+    batchDeregister((meta) => !!meta && meta.plugin === id);
+    p.disposers.splice(0).forEach(fn => { try { fn(); } catch (_) {} });
+    p.status = 'inactive';
+    publishMeta(`plugin:${id}`, { id, version: p.manifest.version, status: 'inactive' });
+    info('plugin inactive', id);
+    return true;
+  }
+  async function unloadPlugin(id) { await deactivatePlugin(id); return plugins.delete(id); }
+  function listPlugins() {
+    return Array.from(plugins.values()).map(p => ({ id: p.manifest.id, version: p.manifest.version, status: p.status, requires: (p.manifest.requires || []).slice(), engines: (p.manifest.engines || []).slice(), source: p.source, error: p.error, activatedAt: p.activatedAt }));
   }
 
   // expose small admin APIs
-  function listHooks() { return Array.from(hooks.keys()); }
+  // detailed: per-entry id, priority, meta, callCount and breaker state instead of bare names
+  function listHooks({ detailed = false } = {}) {
+    if (!detailed) return Array.from(hooks.keys());
+    return Array.from(hooks.entries()).map(([hookName, arr]) => ({ hookName, entries: arr.map(e => ({ id: e.id, priority: e.priority, meta: e.meta, callCount: e.callCount,
+      breaker: e.breaker ? { state: e.breaker.state, failures: e.breaker.failures.length, openedAt: e.breaker.openedAt, trips: e.breaker.trips } : null })) }));
+  }
   function getHistory(filter = {}) {
     let res = hookHistory.slice();
     if (filter.hookName) res = res.filter(h => h.hookName === filter.hookName);
     if (filter.maxAge) res = res.filter(h => h.time >= Date.now() - filter.maxAge);
     if (filter.errorOnly) res = res.filter(h => !!h.error);
+    if (filter.breaker) res = res.filter(h => h.breaker === filter.breaker);
+    if (filter.entryId) res = res.filter(h => h.entryId === filter.entryId);
     if (filter.predicate) res = res.filter(filter.predicate);
     return res;
   }
   function clearHistory() { hookHistory.length = 0; info('history cleared'); }
-  function getMetrics(hookName) { return hookName ? (metrics.get(hookName) || { executionCount: 0, averageTime: 0, errorCount: 0 }) : Object.fromEntries(metrics.entries()); }
+  function getMetrics(hookName) { return hookName ? (metrics.get(hookName) || { executionCount: 0, averageTime: 0, errorCount: 0, triggerCount: 0, averageWallTime: 0 }) : Object.fromEntries(metrics.entries()); }
 
   function setLogLevel(level) { if (['debug','info','error','silent'].includes(level)) { logLevel = level; info('loglevel', level); } }
 
@@ -350,16 +698,20 @@ const HookEngine = (() => {
     for (const [name, arr] of Array.from(hooks.entries())) {
       const keep = arr.filter(e => !e.meta.expires || e.meta.expires > t);
       if (keep.length) hooks.set(name, keep); else hooks.delete(name);
+      if (keep.length < arr.length && arr.some(e => !keep.includes(e) && e.callback.ref)) _registryChanged();
     }
     debug('cleanupExpired');
   }
 
   return {
     register, deregister, batchDeregister,
-    addGlobalHook, trigger, batchTrigger,
+    addGlobalHook, trigger, batchTrigger, applyFilters, addFilter, setHookMode, getHookMode,
     addDOMDelegate, attachStateAPI, attachNarrativeAPI, attachLayoutAPI, attachSymbolAPI: (api)=>{ symbolAPI=api; return ()=>{symbolAPI=null} },
     publishMeta, onMeta, readMeta,
+    registerRef, serializeRegistry, rehydrateRegistry, saveRegistry, enableRegistryPersistence, disableRegistryPersistence,
+    loadPlugin, loadPlugins, activatePlugin, deactivatePlugin, unloadPlugin, listPlugins, resolvePluginOrder, registerEngine,
     beginTransaction, commitTransaction, rollbackTransaction, undo, redo, txHistory,
+    configureCircuitBreaker, resetBreaker,
     listHooks, getHistory, clearHistory, setHistoryCap, getMetrics,
     setLogLevel, cleanupExpired
   };
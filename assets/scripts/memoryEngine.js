@@ -5,7 +5,7 @@ const MemoryEngine = (() => {
   const hooks = new Map(); // key -> { before:[], after:[], error:[] }
   const globalHooks = { before: [], after: [], error: [] };
   const history = []; // structured history entries
-  const metrics = new Map(); // key -> { store:{count,avg}, recall:{count,avg}, forget:{count,avg} }
+  const metrics = new Map(); // key -> { store:{count,avg}, recall:{count,avg}, forget:{count,avg}, hits, misses, evictions }
   const subs = new Map(); // key -> Set(cb)
   const metaContext = new Map(); // topic -> value
   const metaSubs = new Map(); // topic -> Set(cb)
@@ -31,7 +31,7 @@ const MemoryEngine = (() => {
 
   // Metrics helper
   function _ensureMetrics(key) {
-    if (!metrics.has(key)) metrics.set(key, { store: { count: 0, avg: 0 }, recall: { count: 0, avg: 0 }, forget: { count: 0, avg: 0 } });
+    if (!metrics.has(key)) metrics.set(key, { store: { count: 0, avg: 0 }, recall: { count: 0, avg: 0 }, forget: { count: 0, avg: 0 }, hits: 0, misses: 0, evictions: 0 });
     return metrics.get(key);
   }
 
@@ -111,11 +111,15 @@ const MemoryEngine = (() => {
       const op = tx.ops[i];
       try {
         if (op.type === 'store') {
-          if (op.prev === undefined) memory.delete(op.key);
-          else memory.set(op.key, op.prev);
+          if (op.prev === undefined) _deleteEntry(op.key);
+          else _setEntry(op.key, op.prev);
         } else if (op.type === 'forget') {
-          if (op.prev !== undefined) memory.set(op.key, op.prev);
-          else memory.delete(op.key);
+          if (op.prev !== undefined) _setEntry(op.key, op.prev);
+          else _deleteEntry(op.key);
+        } else if (op.type === 'link') {
+          if (op.prev === undefined) _dropLink(op.id); else _putLink(op.prev);
+        } else if (op.type === 'unlink') {
+          _putLink(op.prev);
         } else if (op.type === 'meta') {
           if (op.prev === undefined) metaContext.delete(op.topic); else metaContext.set(op.topic, op.prev);
         } else if (op.type === 'persist') {
@@ -148,11 +152,15 @@ const MemoryEngine = (() => {
       for (const op of next.ops) {
         try {
           if (op.type === 'store') {
-            memory.set(op.key, op.new);
+            _setEntry(op.key, op.new);
             _notifySubs(op.key, op.new.value);
           } else if (op.type === 'forget') {
-            memory.delete(op.key);
+            _deleteEntry(op.key);
             _notifySubs(op.key, undefined);
+          } else if (op.type === 'link') {
+            _putLink(op.new);
+          } else if (op.type === 'unlink') {
+            _dropLink(op.id);
           } else if (op.type === 'meta') {
             metaContext.set(op.topic, op.new);
             const s = metaSubs.get(op.topic) || new Set();
@@ -168,13 +176,357 @@ const MemoryEngine = (() => {
     return { redone };
   }
 
+  // Search index: inverted index over string content (nested strings in objects/arrays too) and meta.tags.
+  // Every write to `memory` goes through _setEntry/_deleteEntry so the index never drifts.
+  const index = new Map(); // token -> Map(key -> term frequency)
+  const tagIndex = new Map(); // tag -> Set(key)
+  const indexedDocs = new Map(); // key -> { tokens: Map(token -> tf), length, tags: [] }
+  function _tokenize(text) {
+    return String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t.length > 1);
+  }
+  function _collectText(v, out = [], depth = 0) {
+    if (v == null || depth > 4) return out;
+    if (typeof v === 'string') out.push(v);
+    else if (typeof v === 'number') out.push(String(v));
+    else if (Array.isArray(v)) v.forEach(x => _collectText(x, out, depth + 1));
+    else if (typeof v === 'object') Object.values(v).forEach(x => _collectText(x, out, depth + 1));
+    return out;
+  }
+  const _tagsOf = (meta) => !meta || meta.tags == null ? [] : [].concat(meta.tags).map(t => String(t).toLowerCase());
+  function _unindex(key) {
+    const doc = indexedDocs.get(key);
+    if (!doc) return;
+    for (const t of doc.tokens.keys()) { const posting = index.get(t); if (posting) { posting.delete(key); if (!posting.size) index.delete(t); } }
+    for (const tag of doc.tags) { const s = tagIndex.get(tag); if (s) { s.delete(key); if (!s.size) tagIndex.delete(tag); } }
+    indexedDocs.delete(key);
+  }
+  function _index(key, ent) {
+    _unindex(key);
+    if (!ent) return;
+    const tokens = new Map();
+    const words = _tokenize(key.replace(/[:._/-]+/g, ' ')).concat(..._collectText(ent.value).map(_tokenize));
+    for (const t of words) tokens.set(t, (tokens.get(t) || 0) + 1);
+    const tags = Array.from(new Set(_tagsOf(ent.meta)));
+    for (const [t, tf] of tokens) { if (!index.has(t)) index.set(t, new Map()); index.get(t).set(key, tf); }
+    for (const tag of tags) { if (!tagIndex.has(tag)) tagIndex.set(tag, new Set()); tagIndex.get(tag).add(key); }
+    indexedDocs.set(key, { tokens, length: words.length, tags });
+  }
+  function _setEntry(key, ent, initialSalience) { memory.set(key, ent); _index(key, ent); _trackUsage(key, ent); _trackSalience(key, ent, initialSalience); }
+  function _deleteEntry(key) { memory.delete(key); _unindex(key); _trackUsage(key, null); _trackSalience(key, null); }
+  function reindex() { index.clear(); tagIndex.clear(); indexedDocs.clear(); for (const [k, ent] of memory.entries()) _index(k, ent); return indexedDocs.size; }
+
+  // Salience: each entry's relevance decays with time along a configurable curve and is reinforced by recall/influence.
+  // Stored as { base, updatedAt } so the current value is computed on read: base * curve(elapsed).
+  // Persisted entries mirror their record under 'memory-salience:' + key, so a reload resumes the decay where it was.
+  let salienceModel = { curve: 'exponential', halfLife: 7 * 24 * 3600 * 1000, initial: 1, reinforce: 0.3, max: 1 };
+  const salience = new Map(); // key -> { base, updatedAt, reinforcements }
+  // every built-in curve is at 0.5 after halfLife ms
+  const salienceCurves = {
+    exponential: (t, h) => Math.pow(0.5, t / h),
+    linear: (t, h) => Math.max(0, 1 - t / (2 * h)),
+    power: (t, h) => 1 / (1 + t / h)
+  };
+  function setSalienceModel(opts = {}) {
+    const next = Object.assign({}, salienceModel, opts);
+    if (typeof next.curve !== 'function' && !salienceCurves[next.curve]) throw createError(`unknown curve ${next.curve}`, 'INVALID_CURVE');
+    if (!(next.halfLife > 0)) throw createError('halfLife must be positive', 'INVALID_HALF_LIFE');
+    salienceModel = next;
+    return Object.assign({}, salienceModel);
+  }
+  function _salienceAt(rec, t = Date.now()) {
+    const curve = typeof salienceModel.curve === 'function' ? salienceModel.curve : salienceCurves[salienceModel.curve];
+    return rec.base * curve(Math.max(0, t - rec.updatedAt), salienceModel.halfLife);
+  }
+  function getSalience(key) { const rec = salience.get(key); return rec && memory.has(key) ? _salienceAt(rec) : 0; }
+  // adds `amount` (default model.reinforce) to the decayed value, capped at model.max (0 = no cap)
+  function reinforce(key, amount = salienceModel.reinforce) {
+    const rec = salience.get(key);
+    if (!rec || !memory.has(key)) return 0;
+    const t = Date.now();
+    const v = _salienceAt(rec, t) + amount;
+    rec.base = salienceModel.max > 0 ? Math.min(salienceModel.max, v) : v;
+    rec.updatedAt = t;
+    rec.reinforcements++;
+    _salienceChanged(key);
+    return rec.base;
+  }
+  function _trackSalience(key, ent, initial) {
+    if (!ent) { salience.delete(key); _salienceChanged(key); return; }
+    if (initial !== undefined) salience.set(key, { base: initial, updatedAt: Date.now(), reinforcements: 0 });
+    else if (!salience.has(key)) salience.set(key, { base: salienceModel.initial, updatedAt: Date.now(), reinforcements: 0 });
+    else return;
+    _salienceChanged(key);
+  }
+  const SALIENCE_PREFIX = 'memory-salience:'; // outside eventPrefix, so init() doesn't load these as entries
+  const salienceDirty = new Set();
+  let salienceTimer = null;
+  // batched: recall() reinforces on every hit, so records are written once per tick
+  function _salienceChanged(key) {
+    salienceDirty.add(key);
+    if (!salienceTimer) salienceTimer = setTimeout(_flushSalience, 0);
+  }
+  function _flushSalience() {
+    salienceTimer = null;
+    if (!storage) { salienceDirty.clear(); return; }
+    for (const key of salienceDirty) {
+      const rec = salience.get(key);
+      // evicted from memory but still persisted: keep the last record for the next restore
+      if (_safeGetStorage(eventPrefix + key) === null) { try { storage.removeItem(SALIENCE_PREFIX + key); } catch (_) {} }
+      else if (rec) _safeSetStorage(SALIENCE_PREFIX + key, JSON.stringify(rec));
+    }
+    salienceDirty.clear();
+  }
+  // called right after a persisted entry is loaded into memory
+  function _restoreSalience(key) {
+    const raw = _safeGetStorage(SALIENCE_PREFIX + key);
+    if (!raw) return;
+    try {
+      const rec = JSON.parse(raw);
+      if (typeof rec.base === 'number' && typeof rec.updatedAt === 'number') salience.set(key, { base: rec.base, updatedAt: rec.updatedAt, reinforcements: rec.reinforcements || 0 });
+    } catch (e) { log('salience restore failed', key, e); }
+  }
+  // salience-ordered listing: { min, max, prefix, tags, limit, order ('desc'|'asc') }
+  function listBySalience({ min = 0, max = Infinity, prefix = null, tags = [], limit = 20, order = 'desc' } = {}) {
+    const t = Date.now();
+    const wanted = [].concat(tags).map(x => String(x).toLowerCase());
+    const out = [];
+    for (const [k, ent] of memory.entries()) {
+      if (_isExpired(ent) || (prefix && !k.startsWith(prefix))) continue;
+      if (wanted.length && !wanted.every(tag => tagIndex.has(tag) && tagIndex.get(tag).has(k))) continue;
+      const rec = salience.get(k);
+      const s = rec ? _salienceAt(rec, t) : 0;
+      if (s < min || s > max) continue;
+      out.push({ key: k, salience: s, reinforcements: rec ? rec.reinforcements : 0, lastReinforced: rec ? rec.updatedAt : 0, value: ent.value, meta: ent.meta });
+    }
+    out.sort((a, b) => order === 'asc' ? a.salience - b.salience : b.salience - a.salience);
+    return limit > 0 ? out.slice(0, limit) : out;
+  }
+
+  // search(query, { tags, anyTags, prefix, mode, limit, offset, minSalience, sortBy }): BM25-ranked keys; exact terms outscore prefix matches.
+  // sortBy: 'score' (default) | 'salience' | 'blend' (score * salience)
+  // tags must all be present, anyTags needs one of them; an empty query lists everything the tag filters allow.
+  function search(query = '', { tags = [], anyTags = [], prefix = true, mode = 'and', limit = 20, offset = 0, minSalience = 0, sortBy = 'score' } = {}) {
+    const t0 = now();
+    const terms = Array.from(new Set(_tokenize(query)));
+    const allTags = [].concat(tags).map(t => String(t).toLowerCase());
+    const someTags = [].concat(anyTags).map(t => String(t).toLowerCase());
+    const tagOk = (key) => allTags.every(t => tagIndex.has(t) && tagIndex.get(t).has(key)) && (!someTags.length || someTags.some(t => tagIndex.has(t) && tagIndex.get(t).has(key)));
+    const n = indexedDocs.size || 1;
+    const avgLen = Array.from(indexedDocs.values()).reduce((a, d) => a + d.length, 0) / n || 1;
+    const scores = new Map(); // key -> { score, matched: Set(term) }
+    for (const term of terms) {
+      // exact posting plus prefix expansions (weighted down)
+      const postings = [[term, index.get(term), 1]];
+      if (prefix) for (const [tok, posting] of index.entries()) if (tok !== term && tok.startsWith(term)) postings.push([tok, posting, 0.7]);
+      for (const [, posting, weight] of postings) {
+        if (!posting) continue;
+        const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+        for (const [key, tf] of posting) {
+          const len = indexedDocs.get(key).length;
+          const s = weight * idf * (tf * 2.2) / (tf + 1.2 * (0.25 + 0.75 * len / avgLen));
+          const cur = scores.get(key) || { score: 0, matched: new Set() };
+          cur.score += s; cur.matched.add(term);
+          scores.set(key, cur);
+        }
+      }
+    }
+    let keys = terms.length ? Array.from(scores.keys()) : Array.from(indexedDocs.keys());
+    if (terms.length && mode === 'and') keys = keys.filter(k => scores.get(k).matched.size === terms.length);
+    const hits = keys.filter(k => tagOk(k) && memory.has(k) && !_isExpired(memory.get(k))).map(k => {
+      const ent = memory.get(k);
+      return { key: k, score: scores.has(k) ? scores.get(k).score : 0, salience: getSalience(k), matched: scores.has(k) ? Array.from(scores.get(k).matched) : [], value: ent.value, meta: ent.meta };
+    }).filter(h => h.salience >= minSalience);
+    const rank = sortBy === 'salience' ? (h) => h.salience : sortBy === 'blend' ? (h) => (terms.length ? h.score : 1) * h.salience : (h) => h.score;
+    hits.sort((a, b) => rank(b) - rank(a) || (a.key < b.key ? -1 : 1));
+    _pushHistory({ op: 'search', key: null, value: query, time: Date.now(), error: null, performance: { duration: now() - t0 }, hits: hits.length });
+    return { total: hits.length, results: hits.slice(offset, offset + limit) };
+  }
+  function listTags() { return Object.fromEntries(Array.from(tagIndex.entries()).map(([t, s]) => [t, s.size])); }
+
+  // Budgets + eviction: capacity by entry count and approximate bytes; evicted entries leave memory only
+  // (persisted copies stay in storage and come back through recall). meta.pinned entries are never evicted.
+  let budget = { maxEntries: 0, maxBytes: 0, policy: 'lru' }; // 0 = unlimited
+  const usage = new Map(); // key -> { lastAccess, hits, bytes }
+  const cacheStats = { hits: 0, misses: 0, evictions: 0 };
+  let totalBytes = 0;
+  let accessClock = 0;
+  function _sizeOf(key, value) { let n = 0; try { n = JSON.stringify(value === undefined ? null : value).length; } catch (_) { n = 0; } return (key.length + n) * 2; }
+  function _trackUsage(key, ent) {
+    const prev = usage.get(key);
+    if (prev) totalBytes -= prev.bytes;
+    if (!ent) { usage.delete(key); return; }
+    const bytes = _sizeOf(key, ent.value);
+    usage.set(key, { lastAccess: ++accessClock, hits: prev ? prev.hits : 0, bytes });
+    totalBytes += bytes;
+  }
+  function _touch(key) { const u = usage.get(key); if (u) { u.lastAccess = ++accessClock; u.hits++; } }
+  const _overBudget = () => (budget.maxEntries > 0 && memory.size > budget.maxEntries) || (budget.maxBytes > 0 && totalBytes > budget.maxBytes);
+  // lru: oldest access; lfu: fewest hits (then oldest); priority: lowest meta.priority (then oldest); salience: most faded (then oldest)
+  function _compareRank(a, b) { for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] - b[i]; return 0; }
+  function _pickVictim(protect) {
+    let victim = null, best = null;
+    for (const [k, ent] of memory.entries()) {
+      if (k === protect || (ent.meta && ent.meta.pinned)) continue;
+      const u = usage.get(k) || { lastAccess: 0, hits: 0 };
+      const rank = budget.policy === 'lfu' ? [u.hits, u.lastAccess] : budget.policy === 'priority' ? [Number(ent.meta && ent.meta.priority) || 0, u.lastAccess] : budget.policy === 'salience' ? [getSalience(k), u.lastAccess] : [u.lastAccess];
+      if (!best || _compareRank(rank, best) < 0) { best = rank; victim = k; }
+    }
+    return victim;
+  }
+  function _enforceBudget(protect = null) {
+    const evicted = [];
+    while (_overBudget()) {
+      const k = _pickVictim(protect);
+      if (k === null) break;
+      const prev = memory.get(k);
+      const bytes = usage.has(k) ? usage.get(k).bytes : 0;
+      _deleteEntry(k);
+      _recordTx({ type: 'forget', key: k, prev });
+      cacheStats.evictions++;
+      _ensureMetrics(k).evictions++;
+      _pushHistory({ op: 'evict', key: k, time: Date.now(), error: null, performance: { duration: 0 }, policy: budget.policy });
+      _notifySubs(k, undefined);
+      publishMeta(`${eventPrefix}evicted`, { key: k, policy: budget.policy, bytes, entries: memory.size, totalBytes });
+      evicted.push(k);
+    }
+    return evicted;
+  }
+  function setBudget({ maxEntries = budget.maxEntries, maxBytes = budget.maxBytes, policy = budget.policy } = {}) {
+    if (!['lru', 'lfu', 'priority', 'salience'].includes(policy)) throw createError(`unknown policy ${policy}`, 'INVALID_POLICY');
+    budget = { maxEntries: Number(maxEntries) || 0, maxBytes: Number(maxBytes) || 0, policy };
+    return _enforceBudget();
+  }
+  function getCacheStats() {
+    const lookups = cacheStats.hits + cacheStats.misses;
+    return Object.assign({}, cacheStats, { hitRate: lookups ? cacheStats.hits / lookups : 0, entries: memory.size, bytes: totalBytes, budget: Object.assign({}, budget) });
+  }
+
+  // Associative graph: typed, weighted, directed links between memory keys (bidirectional = two links).
+  // Links live apart from entries, so eviction keeps them; forget() drops a key's links inside the same tx.
+  const links = new Map(); // linkId -> { id, from, to, type, weight, meta, createdAt }
+  const outLinks = new Map(); // key -> Set(linkId)
+  const inLinks = new Map(); // key -> Set(linkId)
+  const _linkId = (from, to, type) => `${from}|${type}|${to}`;
+  function _putLink(l) {
+    links.set(l.id, l);
+    if (!outLinks.has(l.from)) outLinks.set(l.from, new Set());
+    if (!inLinks.has(l.to)) inLinks.set(l.to, new Set());
+    outLinks.get(l.from).add(l.id); inLinks.get(l.to).add(l.id);
+  }
+  function _dropLink(id) {
+    const l = links.get(id);
+    if (!l) return;
+    links.delete(id);
+    const o = outLinks.get(l.from); if (o) { o.delete(id); if (!o.size) outLinks.delete(l.from); }
+    const i = inLinks.get(l.to); if (i) { i.delete(id); if (!i.size) inLinks.delete(l.to); }
+  }
+  function link(from, to, { type = 'related', weight = 1, bidirectional = false, meta = null } = {}) {
+    if (!from || !to || typeof from !== 'string' || typeof to !== 'string') throw createError('from and to keys required', 'INVALID_KEY');
+    if (typeof weight !== 'number' || !(weight > 0)) throw createError('weight must be a positive number', 'INVALID_WEIGHT', { weight });
+    const ids = [];
+    for (const [a, b] of bidirectional && from !== to ? [[from, to], [to, from]] : [[from, to]]) {
+      const id = _linkId(a, b, type);
+      const prev = links.get(id);
+      const next = { id, from: a, to: b, type, weight, meta, createdAt: prev ? prev.createdAt : Date.now() };
+      _putLink(next);
+      _recordTx({ type: 'link', id, prev, new: next });
+      ids.push(id);
+    }
+    _pushHistory({ op: 'link', key: from, value: { to, type, weight }, time: Date.now(), error: null, performance: { duration: 0 } });
+    return bidirectional ? ids : ids[0];
+  }
+  // without a type every link from -> to goes (both directions with bidirectional)
+  function unlink(from, to, { type = null, bidirectional = false } = {}) {
+    const match = (l, a, b) => l.from === a && l.to === b && (!type || l.type === type);
+    const removed = [];
+    for (const id of Array.from(outLinks.get(from) || []).concat(bidirectional ? Array.from(outLinks.get(to) || []) : [])) {
+      const l = links.get(id);
+      if (!l || !(match(l, from, to) || (bidirectional && match(l, to, from)))) continue;
+      _dropLink(id);
+      _recordTx({ type: 'unlink', id, prev: l });
+      removed.push(id);
+    }
+    return removed.length;
+  }
+  function _unlinkAll(key) {
+    for (const id of Array.from(outLinks.get(key) || []).concat(Array.from(inLinks.get(key) || []))) {
+      const l = links.get(id);
+      if (!l) continue;
+      _dropLink(id);
+      _recordTx({ type: 'unlink', id, prev: l });
+    }
+  }
+  // direction: 'out' | 'in' | 'both'
+  function neighbors(key, { type = null, direction = 'out', minWeight = 0, limit = 0 } = {}) {
+    const out = [];
+    const add = (ids, dir) => { for (const id of ids || []) { const l = links.get(id); if (!l || (type && [].concat(type).indexOf(l.type) === -1) || l.weight < minWeight) continue; out.push({ key: dir === 'out' ? l.to : l.from, id: l.id, type: l.type, weight: l.weight, direction: dir, meta: l.meta }); } };
+    if (direction !== 'in') add(outLinks.get(key), 'out');
+    if (direction !== 'out') add(inLinks.get(key), 'in');
+    out.sort((a, b) => b.weight - a.weight);
+    return limit > 0 ? out.slice(0, limit) : out;
+  }
+  // spreading activation: seeds start at 1 (or the given energy), each hop passes energy * weight * decay on,
+  // activation sums over paths; nodes below threshold stop spreading. Reads don't count as cache hits.
+  // Energy never flows back over the pair it just arrived on: a link and its reverse twin (bidirectional) count as one
+  // pair, walked once per node with direction 'both'. No node ends above the strongest seed's energy.
+  function spreadActivation(seeds, { decay = 0.5, threshold = 0.05, maxDepth = 3, type = null, direction = 'both', limit = 20, includeSeeds = false } = {}) {
+    const start = typeof seeds === 'string' ? { [seeds]: 1 } : Array.isArray(seeds) ? Object.fromEntries(seeds.map(k => [k, 1])) : Object.assign({}, seeds);
+    const activation = new Map(Object.entries(start));
+    const cap = Math.max(0, ...activation.values());
+    const pairOf = (key, n) => key < n.key ? _linkId(key, n.key, n.type) : _linkId(n.key, key, n.type);
+    const depthOf = new Map(Object.keys(start).map(k => [k, 0]));
+    // frontier: `${key}\u0000${pairId}` -> { key, via, energy }, merged per arrival pair so it stays bounded by the link count
+    let frontier = new Map(Object.entries(start).map(([k, e]) => [k, { key: k, via: null, energy: e }]));
+    for (let depth = 1; depth <= maxDepth && frontier.size; depth++) {
+      const next = new Map();
+      for (const { key, via, energy } of frontier.values()) {
+        const walked = new Set();
+        for (const n of neighbors(key, { type, direction })) {
+          const pair = pairOf(key, n);
+          if (pair === via || walked.has(pair)) continue;
+          walked.add(pair); // neighbors() is weight-sorted, so the stronger twin wins
+          const passed = energy * Math.min(1, n.weight) * decay;
+          if (passed < threshold) continue;
+          activation.set(n.key, Math.min(cap, (activation.get(n.key) || 0) + passed));
+          if (!depthOf.has(n.key)) depthOf.set(n.key, depth);
+          const fk = `${n.key}\u0000${pair}`;
+          const cur = next.get(fk);
+          if (cur) cur.energy += passed; else next.set(fk, { key: n.key, via: pair, energy: passed });
+        }
+      }
+      frontier = next;
+    }
+    const res = Array.from(activation.entries()).filter(([k]) => includeSeeds || !(k in start)).map(([k, a]) => {
+      const ent = memory.get(k);
+      return { key: k, activation: a, depth: depthOf.get(k), value: ent && !_isExpired(ent) ? ent.value : undefined };
+    }).sort((a, b) => b.activation - a.activation);
+    return limit > 0 ? res.slice(0, limit) : res;
+  }
+  // format: 'json' ({ nodes, links }) or 'dot' (Graphviz)
+  function exportGraph({ format = 'json', includeValues = false } = {}) {
+    const keys = new Set(memory.keys());
+    for (const l of links.values()) { keys.add(l.from); keys.add(l.to); }
+    const nodes = Array.from(keys).sort().map(k => {
+      const ent = memory.get(k);
+      const node = { key: k, stored: !!ent, tags: _tagsOf(ent && ent.meta) };
+      if (includeValues && ent) node.value = ent.value;
+      return node;
+    });
+    const edges = Array.from(links.values()).map(l => ({ from: l.from, to: l.to, type: l.type, weight: l.weight, meta: l.meta }));
+    if (format === 'dot') {
+      const q = (s) => JSON.stringify(String(s));
+      return ['digraph memory {', ...nodes.map(n => `  ${q(n.key)}${n.stored ? '' : ' [style=dashed]'};`), ...edges.map(e => `  ${q(e.from)} -> ${q(e.to)} [label=${q(e.type)}, weight=${e.weight}];`), '}'].join('\n');
+    }
+    return { nodes, links: edges };
+  }
+
   // Auto-cleanup expired
   function _isExpired(entry) { return entry && entry.expires && Date.now() > entry.expires; }
   function _cleanupExpired() {
     for (const [k, ent] of Array.from(memory.entries())) {
       if (_isExpired(ent)) {
         const prev = ent;
-        memory.delete(k);
+        _deleteEntry(k);
         _pushHistory({ op: 'expire', key: k, time: Date.now(), error: null, performance: { duration: 0 } });
         _notifySubs(k, undefined);
         _recordTx({ type: 'forget', key: k, prev });
@@ -191,29 +543,175 @@ const MemoryEngine = (() => {
   function _safeGetStorage(key) {
     try { return storage ? storage.getItem(key) : null; } catch (e) { return null; }
   }
-  function compress(v) { try { return btoa(unescape(encodeURIComponent(JSON.stringify(v)))); } catch (e) { if (typeof Buffer !== 'undefined') return Buffer.from(JSON.stringify(v)).toString('base64'); throw e; } }
   function decompress(s) { try { return JSON.parse(decodeURIComponent(escape(atob(s)))); } catch (e) { if (typeof Buffer !== 'undefined') return JSON.parse(Buffer.from(s, 'base64').toString('utf8')); throw e; } }
 
+  // Raw values: plain JSON, or base64 JSON written by the old sync compress option
+  function _parseRaw(raw) { try { return JSON.parse(raw); } catch (_) { return decompress(raw); } }
+
+  // Compressed/encrypted entries: store(..., { compress, encrypt }) writes '~mem1:' + JSON envelope { v, c, e, d }.
+  // c = 'deflate-raw' when CompressionStream made it smaller; e = AES-GCM params, null for compress-only
+  // (PBKDF2-SHA256 key, derived once per passphrase from one stored salt; random per-entry iv).
+  // A compress-only envelope that isn't smaller than the plain JSON is dropped for the JSON.
+  // Decoding is async, so sync recall() kicks off the decode and returns undefined; recallAsync() waits for it.
+  const ENVELOPE = '~mem1:';
+  const KDF_SALT_KEY = 'memory-kdf-salt'; // outside eventPrefix, so init() doesn't load it as an entry
+  let encryptionKey = null; // { passphrase, iterations } - never persisted
+  let kdfSalt = null; // Uint8Array, shared by every entry this engine encrypts
+  const derivedKeys = new Map(); // passphrase -> `${iterations}:${salt}` -> Promise<CryptoKey>; cleared by setEncryptionKey
+  const _isEnvelope = (raw) => typeof raw === 'string' && raw.startsWith(ENVELOPE);
+  function _b64(u8) { let s = ''; for (let i = 0; i < u8.length; i += 0x8000) s += String.fromCharCode.apply(null, u8.subarray(i, i + 0x8000)); return btoa(s); }
+  function _unb64(s) { const bin = atob(s); const u8 = new Uint8Array(bin.length); for (let i = 0; i < bin.length; i++) u8[i] = bin.charCodeAt(i); return u8; }
+  async function _pipe(u8, transform) { return new Uint8Array(await new Response(new Blob([u8]).stream().pipeThrough(transform)).arrayBuffer()); }
+  function _subtle() {
+    const c = typeof crypto !== 'undefined' ? crypto : null;
+    if (!c || !c.subtle) throw createError('WebCrypto unavailable', 'NO_CRYPTO');
+    return c;
+  }
+  // one PBKDF2 run per passphrase + salt + iterations; entries written by older versions carry their own salt
+  function _deriveKey(passphrase, salt, iterations) {
+    const cacheKey = `${iterations}:${_b64(salt)}`;
+    if (!derivedKeys.has(passphrase)) derivedKeys.set(passphrase, new Map());
+    const keys = derivedKeys.get(passphrase);
+    if (keys.has(cacheKey)) return keys.get(cacheKey);
+    const c = _subtle();
+    const key = c.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+      .then(base => c.subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']));
+    keys.set(cacheKey, key);
+    key.catch(() => { if (keys.get(cacheKey) === key) keys.delete(cacheKey); });
+    return key;
+  }
+  function _saltForEncrypt() {
+    if (kdfSalt) return kdfSalt;
+    const stored = _safeGetStorage(KDF_SALT_KEY);
+    if (stored) { try { return (kdfSalt = _unb64(stored)); } catch (_) { /* corrupt: make a new one */ } }
+    kdfSalt = _subtle().getRandomValues(new Uint8Array(16));
+    _safeSetStorage(KDF_SALT_KEY, _b64(kdfSalt));
+    return kdfSalt;
+  }
+  async function _encode(value, { compress: doCompress = false, encrypt = false } = {}) {
+    const json = JSON.stringify(value);
+    if (!encrypt && (!doCompress || typeof CompressionStream === 'undefined')) return json;
+    let bytes = new TextEncoder().encode(json === undefined ? 'null' : json);
+    const env = { v: 1, c: null, e: null, d: null };
+    if (doCompress && typeof CompressionStream !== 'undefined') {
+      const packed = await _pipe(bytes, new CompressionStream('deflate-raw'));
+      if (packed.length < bytes.length) { bytes = packed; env.c = 'deflate-raw'; }
+    }
+    if (!encrypt) {
+      if (!env.c) return json;
+      env.d = _b64(bytes);
+      const raw = ENVELOPE + JSON.stringify(env);
+      return raw.length < json.length ? raw : json;
+    }
+    const passphrase = typeof encrypt === 'object' && encrypt.passphrase ? encrypt.passphrase : encryptionKey && encryptionKey.passphrase;
+    if (!passphrase) throw createError('no encryption key set', 'NO_ENCRYPTION_KEY');
+    const c = _subtle();
+    const iterations = (typeof encrypt === 'object' && encrypt.iterations) || (encryptionKey && encryptionKey.iterations) || 150000;
+    const salt = _saltForEncrypt(), iv = c.getRandomValues(new Uint8Array(12));
+    bytes = new Uint8Array(await c.subtle.encrypt({ name: 'AES-GCM', iv }, await _deriveKey(passphrase, salt, iterations), bytes));
+    env.e = { alg: 'AES-GCM', kdf: 'PBKDF2-SHA256', it: iterations, salt: _b64(salt), iv: _b64(iv) };
+    env.d = _b64(bytes);
+    return ENVELOPE + JSON.stringify(env);
+  }
+  async function _decode(raw, { passphrase = null } = {}) {
+    if (!_isEnvelope(raw)) return _parseRaw(raw);
+    const env = JSON.parse(raw.slice(ENVELOPE.length));
+    let bytes = _unb64(env.d);
+    if (env.e) {
+      const pass = passphrase || (encryptionKey && encryptionKey.passphrase);
+      if (!pass) throw createError('entry is encrypted and no key is set', 'LOCKED');
+      try {
+        bytes = new Uint8Array(await _subtle().subtle.decrypt({ name: 'AES-GCM', iv: _unb64(env.e.iv) }, await _deriveKey(pass, _unb64(env.e.salt), env.e.it), bytes));
+      } catch (e) { throw createError('decryption failed (wrong key or tampered data)', 'DECRYPT_FAILED', { error: e }); }
+    }
+    if (env.c === 'deflate-raw') {
+      if (typeof DecompressionStream === 'undefined') throw createError('DecompressionStream unavailable', 'NO_COMPRESSION');
+      bytes = await _pipe(bytes, new DecompressionStream('deflate-raw'));
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+  // decode a persisted envelope into memory (unless the key was written meanwhile) and notify subscribers
+  async function _restoreEncoded(key, raw) {
+    const t0 = now();
+    try {
+      const val = await _decode(raw);
+      if (!memory.has(key)) {
+        _setEntry(key, { value: val, expires: undefined, meta: { persisted: true } });
+        _restoreSalience(key);
+        _enforceBudget(key);
+        _notifySubs(key, val);
+      }
+      _pushHistory({ op: 'restore', key, value: val, time: Date.now(), error: null, performance: { duration: now() - t0 } });
+      return memory.has(key) ? memory.get(key).value : val;
+    } catch (e) {
+      const err = e.code ? e : createError('restore failed', 'RECALL_ERROR', { error: e });
+      _pushHistory({ op: 'restore', key, value: null, time: Date.now(), error: err, performance: { duration: now() - t0 } });
+      if (err.code !== 'LOCKED') _fireHooks(key, 'error', { key, error: err }).catch(()=>{});
+      return undefined;
+    }
+  }
+  // like recall, but waits for encrypted persisted entries to decode
+  async function recallAsync(key, opts = {}) {
+    if (!key || typeof key !== 'string') throw createError('invalid key', 'INVALID_KEY');
+    if (!memory.has(key) && storage && opts.restorePersisted !== false) {
+      const raw = _safeGetStorage(eventPrefix + key);
+      if (_isEnvelope(raw)) { cacheStats.misses++; _ensureMetrics(key).misses++; return _restoreEncoded(key, raw); }
+    }
+    return recall(key, opts);
+  }
+  // sets (or clears with null) the passphrase for encrypt: true entries, then decodes persisted entries that were locked
+  async function setEncryptionKey(passphrase, { iterations = 150000 } = {}) {
+    derivedKeys.clear();
+    encryptionKey = passphrase ? { passphrase: String(passphrase), iterations } : null;
+    return encryptionKey ? hydrateEncoded() : 0;
+  }
+  async function hydrateEncoded() {
+    if (!storage) return 0;
+    const pending = [];
+    for (let i = 0; i < storage.length; i++) {
+      const k = storage.key(i);
+      if (!k || !k.startsWith(eventPrefix)) continue;
+      const key = k.slice(eventPrefix.length);
+      const raw = _safeGetStorage(k);
+      if (!memory.has(key) && _isEnvelope(raw)) pending.push(_restoreEncoded(key, raw));
+    }
+    return (await Promise.all(pending)).filter(v => v !== undefined).length;
+  }
+
   // Core API: store
+  // writes are stamped in call order; one that finishes encoding after a later write (or forget) to the same key
+  // already landed is dropped, so memory and storage never end up holding different writes
+  let writeCounter = 0;
+  const lastWrite = new Map(); // key -> stamp of the last write applied to memory/storage
+  const _isStale = (key, stamp) => (lastWrite.get(key) || 0) > stamp;
   async function store(key, value, options = {}) {
     const t0 = now();
-    const { persist = false, compress: doCompress = false, validator = null, expires = 0, ariaLabel } = options;
+    const { persist = false, compress: doCompress = false, encrypt = false, validator = null, expires = 0, ariaLabel } = options;
     if (!key || typeof key !== 'string') throw createError('invalid key', 'INVALID_KEY');
+    const stamp = ++writeCounter;
     try {
       if (validator && typeof validator === 'function') {
         const ok = await Promise.resolve(validator(value));
         if (!ok) throw createError('validator rejected', 'VALIDATOR_REJECT');
       }
       await _fireHooks(key, 'before', { key, value, options });
+      // encode before touching memory: a failed encode (e.g. NO_ENCRYPTION_KEY) leaves the old value in place
+      const raw = persist && storage ? await _encode(value, { compress: doCompress, encrypt }) : null;
+      if (_isStale(key, stamp)) {
+        _pushHistory({ op: 'store', key, value, persist: !!persist, superseded: true, time: Date.now(), error: null, performance: { duration: now() - t0 } });
+        return { ok: true, superseded: true };
+      }
+      lastWrite.set(key, stamp);
       const prev = memory.has(key) ? memory.get(key) : undefined;
       const ent = { value, expires: expires ? Date.now() + expires : undefined, meta: options.meta || null };
-      memory.set(key, ent);
+      _setEntry(key, ent, typeof options.salience === 'number' ? options.salience : undefined);
       _recordTx({ type: 'store', key, prev, new: ent });
-      if (persist && storage) {
-        const raw = doCompress ? compress(value) : JSON.stringify(value);
+      _enforceBudget(key);
+      if (raw !== null) {
         const prevRaw = _safeGetStorage(eventPrefix + key);
         _recordTx({ type: 'persist', key, prevRaw, newRaw: raw });
         _safeSetStorage(eventPrefix + key, raw);
+        _salienceChanged(key);
       }
       _pushHistory({ op: 'store', key, value, persist: !!persist, time: Date.now(), error: null, performance: { duration: now() - t0 } });
       _ensureMetrics(key).store.count++; _ensureMetrics(key).store.avg = ( (_ensureMetrics(key).store.avg * (_ensureMetrics(key).store.count - 1)) + (now() - t0) ) / _ensureMetrics(key).store.count;
@@ -255,29 +753,43 @@ const MemoryEngine = (() => {
   }
 
   // recall
-  function recall(key, { restorePersisted = true } = {}) {
+  function recall(key, { restorePersisted = true, reinforce: reinforceOnRecall = true } = {}) {
     const t0 = now();
     if (!key || typeof key !== 'string') throw createError('invalid key', 'INVALID_KEY');
     if (memory.has(key)) {
       const ent = memory.get(key);
       if (_isExpired(ent)) {
         const prev = ent;
-        memory.delete(key);
+        _deleteEntry(key);
         _pushHistory({ op: 'recall', key, value: undefined, time: Date.now(), error: createError('expired','EXPIRED'), performance: { duration: now() - t0 } });
         _recordTx({ type: 'forget', key, prev });
         _notifySubs(key, undefined);
+        cacheStats.misses++; _ensureMetrics(key).misses++;
         return undefined;
       }
+      _touch(key);
+      if (reinforceOnRecall) reinforce(key);
+      cacheStats.hits++; _ensureMetrics(key).hits++;
       _pushHistory({ op: 'recall', key, value: ent.value, time: Date.now(), error: null, performance: { duration: now() - t0 } });
       const m = _ensureMetrics(key); m.recall.count++; m.recall.avg = (m.recall.avg * (m.recall.count - 1) + (now() - t0)) / m.recall.count;
       return ent.value;
     }
+    // memory miss, even when the value comes back from storage below
+    cacheStats.misses++; _ensureMetrics(key).misses++;
     if (restorePersisted && storage) {
       const raw = _safeGetStorage(eventPrefix + key);
       if (!raw) return undefined;
+      if (_isEnvelope(raw)) {
+        // can't decode synchronously: subscribers get the value once it is restored
+        _restoreEncoded(key, raw);
+        _pushHistory({ op: 'recall', key, value: undefined, pending: true, time: Date.now(), error: null, performance: { duration: now() - t0 } });
+        return undefined;
+      }
       try {
-        const val = (raw[0] === '{' || raw[0] === '[' || raw[0] === '"') ? JSON.parse(raw) : decompress(raw);
-        memory.set(key, { value: val, expires: undefined, meta: { persisted: true } });
+        const val = _parseRaw(raw);
+        _setEntry(key, { value: val, expires: undefined, meta: { persisted: true } });
+        _restoreSalience(key);
+        _enforceBudget(key);
         _pushHistory({ op: 'recall', key, value: val, time: Date.now(), error: null, performance: { duration: now() - t0 } });
         _notifySubs(key, val);
         const m = _ensureMetrics(key); m.recall.count++; m.recall.avg = (m.recall.avg * (m.recall.count - 1) + (now() - t0)) / m.recall.count;
@@ -325,7 +837,9 @@ const MemoryEngine = (() => {
     _recordTx({ type: 'forget', key, prev });
     try {
       await _fireHooks(key, 'before', { key });
-      memory.delete(key);
+      lastWrite.set(key, ++writeCounter);
+      _deleteEntry(key);
+      _unlinkAll(key);
       try { storage && storage.removeItem(eventPrefix + key); } catch (_) {}
       _notifySubs(key, undefined);
       await _fireHooks(key, 'after', { key });
@@ -372,14 +886,17 @@ const MemoryEngine = (() => {
         try {
           const raw = storage.getItem(k);
           if (!raw) continue;
-          const val = (raw[0] === '{' || raw[0] === '[' || raw[0] === '"') ? JSON.parse(raw) : decompress(raw);
-          memory.set(key, { value: val });
+          if (_isEnvelope(raw)) { _restoreEncoded(key, raw); continue; }
+          const val = _parseRaw(raw);
+          _setEntry(key, { value: val });
+          _restoreSalience(key);
           _pushHistory({ op: 'load', key, value: val, time: Date.now(), error: null, performance: { duration: 0 } });
         } catch (e) {
           _pushHistory({ op: 'load', key, value: null, time: Date.now(), error: createError('load failed', 'LOAD_ERROR', { error: e }), performance: { duration: 0 } });
         }
       }
     } catch (e) { log('init read failed', e); }
+    _enforceBudget();
   }
   if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', init);
 
@@ -405,6 +922,7 @@ const MemoryEngine = (() => {
     store,
     batchStore,
     recall,
+    recallAsync,
     batchRecall,
     influence,
     forget,
@@ -424,15 +942,31 @@ const MemoryEngine = (() => {
     undo,
     redo,
     getRegistry,
+    search,
+    setBudget,
+    getCacheStats,
+    listTags,
+    reindex,
+    setSalienceModel,
+    getSalience,
+    reinforce,
+    listBySalience,
+    link,
+    unlink,
+    neighbors,
+    spreadActivation,
+    exportGraph,
     getHistory,
     clearHistory,
     setHistoryCap,
     setStorage,
+    setEncryptionKey,
+    hydrateEncoded,
     setDebug,
     getMetrics,
     startAutoCleanup,
     stopAutoCleanup,
-    _internal: { memory, hooks, history, metrics, metaContext, txHistory }
+    _internal: { memory, hooks, history, metrics, metaContext, txHistory, index, tagIndex, usage, links, salience }
   };
 })();
 
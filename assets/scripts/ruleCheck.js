@@ -0,0 +1,30 @@
+// RuleCheck - schema rule checks shared by StateEngine (defineSchema keys) and EventEngine (defineEvent contracts)
+// rule: { type, required, enum, min, max, pattern, requiredKeys, keys (per-key rules, nested), strict (with keys: reject unknown keys), validate }
+const RuleCheck = (() => {
+  function typeOf(v) { return Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v; }
+  // returns a list of error strings; nested errors are prefixed with their dotted path
+  function checkRule(rule, value, path = '') {
+    const at = (msg) => path ? `${path}: ${msg}` : msg;
+    const errors = [];
+    if (value === undefined || value === null) { if (rule.required) errors.push(at('value required')); return errors; }
+    const t = typeOf(value);
+    if (rule.type && rule.type !== 'any') { const types = [].concat(rule.type); if (!types.includes(t)) errors.push(at(`expected ${types.join('|')}, got ${t}`)); }
+    if (rule.enum && !rule.enum.includes(value)) errors.push(at(`expected one of ${rule.enum.join(', ')}`));
+    // ranges apply to numbers directly and to the length of strings/arrays
+    const size = t === 'number' ? value : (t === 'string' || t === 'array') ? value.length : undefined;
+    if (size !== undefined && typeof rule.min === 'number' && size < rule.min) errors.push(at(`below min ${rule.min}`));
+    if (size !== undefined && typeof rule.max === 'number' && size > rule.max) errors.push(at(`above max ${rule.max}`));
+    if (rule.pattern && t === 'string' && !new RegExp(rule.pattern).test(value)) errors.push(at(`does not match ${rule.pattern}`));
+    if (Array.isArray(rule.requiredKeys) && t === 'object') for (const k of rule.requiredKeys) if (!(k in value)) errors.push(at(`missing key ${k}`));
+    if (rule.keys && t === 'object') {
+      for (const [k, r] of Object.entries(rule.keys)) errors.push(...checkRule(r, value[k], path ? `${path}.${k}` : k));
+      if (rule.strict) for (const k of Object.keys(value)) if (!(k in rule.keys)) errors.push(at(`unknown key ${k}`));
+    }
+    // validate may return false or an error message
+    if (typeof rule.validate === 'function') { try { const r = rule.validate(value); if (typeof r === 'string') errors.push(at(r)); else if (!r) errors.push(at('custom check failed')); } catch (e) { errors.push(at(`custom check threw: ${e.message}`)); } }
+    return errors;
+  }
+  return { typeOf, checkRule };
+})();
+
+export default RuleCheck;
@@ -1,7 +1,10 @@
 // StateEngine - enhanced: DOM binding, per-key hooks, sequences, meta-context/synergy, undo/redo (global), transactions
+import RuleCheck from './ruleCheck.js';
+
 const StateEngine = (() => {
   const states = new Map(); // componentId -> Map(key -> { value, meta })
   const subscribers = new Map(); // componentId:key -> Set(cb)
+  const pathSubs = new Map(); // componentId:rootKey -> Set({ path, cb, last })
   const keyHooks = new Map(); // componentId -> key -> { before:[], after:[], error:[] }
   const globalHooks = { beforeSet: [], afterSet: [], error: [] };
   const history = []; // structured history of ops
@@ -11,7 +14,7 @@ const StateEngine = (() => {
   let txPointer = txHistory.length - 1;
   let historyCap = 500;
   let debug = false;
-  let storageMode = 'session'; // 'session'|'local'|'none'
+  let storageMode = 'session'; // 'session'|'local'|'indexeddb'|'none'|custom adapter name
   let storage = (typeof sessionStorage !== 'undefined') ? sessionStorage : null;
   const PREFIX = 'state:';
   const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
@@ -21,8 +24,32 @@ const StateEngine = (() => {
   const metaSubs = new Map(); // topic -> Set(cb)
   const dependencies = new Map(); // targetKey -> { sources: [{componentId,key}], resolver }
 
+  // schemas (per componentId)
+  const schemas = new Map(); // componentId -> { version, strict, keys: { key -> rule }, migrations: { toVersion -> fn } }
+
+  // computed keys / selectors (dependencies tracked from get() calls)
+  const computeds = new Map(); // componentId:key -> { componentId, key, fn, equals, deps:Set, value, hasValue, dirty, evaluating }
+  const dependents = new Map(); // source componentId:key -> Set(computed componentId:key)
+  const trackStack = []; // one Set per computed being evaluated
+  const SELECT_COMPONENT = '$select';
+  let selectorCounter = 0;
+
+  // cross-tab sync (opt-in via enableSync)
+  const tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2,8)}`;
+  const syncClocks = new Map(); // componentId:key | $meta:topic -> { ts, origin }
+  let sync = null; // { channel, name, components, metaTopics }
+
   // DOM bindings (data-state="component:key" on elements)
   const domBindings = new WeakMap(); // element -> { componentId, key, attr, syncInput }
+  const boundElements = new Set(); // iterable index of elements in domBindings (detached ones pruned by _liveBinding)
+  const directiveIndex = new Map(); // componentId:key -> Set({ el, type, apply })
+  const directiveEls = new WeakMap(); // element -> unbind fn (guards against double binding)
+  const formatters = new Map([
+    ['json', v => JSON.stringify(v)],
+    ['upper', v => String(v).toUpperCase()],
+    ['lower', v => String(v).toLowerCase()],
+    ['date', v => new Date(v).toLocaleString()]
+  ]);
 
   // logging
   const log = (...a) => { if (debug) try { console.log('[StateEngine]', ...a); } catch (_) {} };
@@ -35,27 +62,92 @@ const StateEngine = (() => {
   function _ensureMetrics(componentId, key) { const mk = `${componentId}:${key}`; if (!metrics.has(mk)) metrics.set(mk, { setCount: 0, avgTime: 0, errors: 0 }); return metrics.get(mk); }
   function _subKey(componentId, key) { return `${componentId}:${key}`; }
 
+  // schema validation + migrations
+  function defineSchema(componentId, { version = 1, strict = false, keys = {}, migrations = {} } = {}) {
+    if (!componentId || typeof keys !== 'object') throw createError('invalid schema','INVALID_SCHEMA');
+    if (typeof version !== 'number' || version < 1) throw createError('schema version must be >= 1','INVALID_SCHEMA', { version });
+    schemas.set(componentId, { version, strict: !!strict, keys: Object.assign({}, keys), migrations: Object.assign({}, migrations) });
+    log('schema defined', componentId, version);
+    return () => schemas.delete(componentId);
+  }
+  function getSchema(componentId) { return schemas.get(componentId); }
+  function validate(componentId, key, value) {
+    const schema = schemas.get(componentId);
+    if (!schema) return { ok: true, errors: [] };
+    const rule = schema.keys[key];
+    if (!rule) return schema.strict ? { ok: false, errors: [`unknown key ${key}`] } : { ok: true, errors: [] };
+    const errors = RuleCheck.checkRule(rule, value);
+    return { ok: errors.length === 0, errors };
+  }
+  function _assertSchema(componentId, key, value) {
+    const res = validate(componentId, key, value);
+    if (!res.ok) throw createError(`schema rejected ${componentId}:${key}`, 'VALIDATOR_REJECT', { componentId, key, errors: res.errors });
+  }
+  function _schemaDefault(componentId, key) {
+    const schema = schemas.get(componentId);
+    const rule = schema && schema.keys[key];
+    if (!rule || !('default' in rule)) return undefined;
+    return typeof rule.default === 'function' ? rule.default() : rule.default;
+  }
+  // upgrade a restored value from its stored version to the current schema version
+  function _migrate(componentId, key, value, fromVersion) {
+    const schema = schemas.get(componentId);
+    if (!schema || fromVersion >= schema.version) return value;
+    let v = value;
+    for (let ver = fromVersion + 1; ver <= schema.version; ver++) {
+      const fn = schema.migrations[ver];
+      if (typeof fn === 'function') v = fn(v, { componentId, key, fromVersion: ver - 1, toVersion: ver });
+    }
+    log('migrated', componentId, key, fromVersion, '->', schema.version);
+    return v;
+  }
+
   // transaction ops recording
-  function _recordTx(op) { if (!transactions.length) return; transactions[transactions.length - 1].ops.push(op); }
+  function _recordTx(op) { if (txCapture) { txCapture.ops.push(op); return; } if (!transactions.length) return; transactions[transactions.length - 1].ops.push(op); }
   function beginTransaction(label) { const tx = { id: `tx-${Date.now()}-${Math.random().toString(36).slice(2,6)}`, label: label||'', ops: [], createdAt: Date.now() }; transactions.push(tx); log('tx begin', tx.id); return tx.id; }
-  function commitTransaction() { if (!transactions.length) throw createError('no active transaction','NO_TX'); const tx = transactions.pop(); tx.committedAt = Date.now(); txHistory.splice(txPointer+1); txHistory.push(tx); txPointer = txHistory.length-1; log('tx commit', tx.id); return tx.id; }
-  function rollbackTransaction() { if (!transactions.length) throw createError('no active transaction','NO_TX'); const tx = transactions.pop(); for (let i = tx.ops.length-1; i >= 0; i--) { const op = tx.ops[i]; try { if (op.type === 'set') { const comp = _ensureComp(op.componentId); if (op.prev === undefined) comp.delete(op.key); else comp.set(op.key, op.prev); } else if (op.type === 'remove') { const comp = _ensureComp(op.componentId); if (op.prev !== undefined) comp.set(op.key, op.prev); else comp.delete(op.key); } else if (op.type === 'metaPublish') { if (op.prev === undefined) metaContext.delete(op.topic); else metaContext.set(op.topic, op.prev); } } catch(e){ log('rollback op failed', e); } } log('tx rollback', tx.id); return tx.id; }
+  function commitTransaction() { if (!transactions.length) throw createError('no active transaction','NO_TX'); const tx = transactions.pop(); tx.committedAt = Date.now(); txHistory.splice(txPointer+1); txHistory.push(tx); txPointer = txHistory.length-1; if (tx.sync) { const parent = transactions[transactions.length-1]; if (parent) (parent.sync || (parent.sync = [])).push(...tx.sync); else tx.sync.forEach(_syncPost); delete tx.sync; } log('tx commit', tx.id); return tx.id; }
+  function rollbackTransaction() { if (!transactions.length) throw createError('no active transaction','NO_TX'); const tx = transactions.pop(); const touched = new Set(); for (let i = tx.ops.length-1; i >= 0; i--) { const op = tx.ops[i]; if (op.componentId) touched.add(_subKey(op.componentId, op.key)); try { if (op.type === 'set') { const comp = _ensureComp(op.componentId); if (op.prev === undefined) comp.delete(op.key); else comp.set(op.key, op.prev); } else if (op.type === 'remove') { const comp = _ensureComp(op.componentId); if (op.prev !== undefined) comp.set(op.key, op.prev); else comp.delete(op.key); } else if (op.type === 'metaPublish') { if (op.prev === undefined) metaContext.delete(op.topic); else metaContext.set(op.topic, op.prev); } } catch(e){ log('rollback op failed', e); } } _invalidateKeys(touched); log('tx rollback', tx.id); return tx.id; }
+  // restored values skip _notifySubs, so computeds reading them must still be marked stale
+  function _invalidateKeys(keys) { for (const sk of keys) { const i = sk.indexOf(':'); _invalidateDependents(sk.slice(0, i), sk.slice(i + 1)); } }
+
+  // ops touched by a set of txs: componentId:key and meta topics
+  function _opsTouched(txs) {
+    const keys = new Set(); const topics = new Set();
+    for (const tx of txs) for (const op of tx.ops) { if (op.type === 'metaPublish') topics.add(op.topic); else if (op.componentId) keys.add(_subKey(op.componentId, op.key)); }
+    return { keys, topics };
+  }
+  // undo/redo/jumpTo/importTimeline change state outside set/remove/publishMeta: broadcast where each key ended up
+  function _syncCurrent(keys, topics = []) {
+    if (!sync) return;
+    for (const sk of keys) {
+      const idx = sk.indexOf(':'); const cid = sk.slice(0, idx); const k = sk.slice(idx + 1);
+      if (computeds.has(sk)) continue;
+      const comp = states.get(cid); const ent = comp && comp.get(k);
+      _syncOut(ent ? { type: 'set', componentId: cid, key: k, value: ent.value, meta: ent.meta } : { type: 'remove', componentId: cid, key: k }, sk);
+    }
+    for (const topic of topics) _syncOut({ type: 'meta', topic, payload: metaContext.get(topic) }, _subKey('$meta', topic));
+  }
 
   // global undo/redo using committed transactions
   async function undo(steps = 1) {
     let undone = 0;
+    const applied = [];
     while (undone < steps && txPointer >= 0) {
       const tx = txHistory[txPointer];
       // create a fake tx on active stack for reuse of rollback logic
       transactions.push({ ops: tx.ops.slice() });
       rollbackTransaction();
+      applied.push(tx);
       txPointer--;
       undone++;
     }
+    const { keys, topics } = _opsTouched(applied);
+    _syncCurrent(keys, topics);
     return { undone };
   }
   async function redo(steps = 1) {
     let redone = 0;
+    const applied = [];
     while (redone < steps && txPointer < txHistory.length - 1) {
       const next = txHistory[txPointer+1];
       // reapply ops in order
@@ -76,11 +168,163 @@ const StateEngine = (() => {
         } catch (e) { log('redo op failed', e); }
       }
       txPointer = Math.min(txPointer+1, txHistory.length-1);
+      applied.push(next);
       redone++;
     }
+    const { keys, topics } = _opsTouched(applied);
+    _syncCurrent(keys, topics);
     return { redone };
   }
 
+  // optimistic updates: each write records into its own private tx (never the shared stack, so unrelated
+  // writes made while the request is in flight stay out of it), committed on resolve or undone on reject.
+  // Per key, a queue of layers keeps every write made while an optimistic one is pending, in apply order;
+  // a rejected write falls back to the layer beneath it, or to the confirmed base once nothing is in flight
+  const optimistic = new Map(); // componentId:rootKey -> { base, layers: [{ tx, ent, pending }] }
+  let txCapture = null; // private tx that the next set() records into (read synchronously at its start)
+  function _optimisticOp(tx, componentId, key) { return tx.ops.find(op => op.type === 'set' && op.componentId === componentId && op.key === key); }
+  // called by set() after it committed a root value
+  function _trackOptimistic(componentId, key, ent, prev, tx) {
+    const sk = _subKey(componentId, key);
+    let q = optimistic.get(sk);
+    if (!tx) { if (q) q.layers.push({ tx: null, ent, pending: false }); return null; }
+    if (!q) optimistic.set(sk, q = { base: prev, layers: [] });
+    const layer = { tx, ent, pending: true };
+    q.layers.push(layer);
+    return layer;
+  }
+  // settled layers at the bottom of the queue become the confirmed base
+  function _collapseOptimistic(sk) {
+    const q = optimistic.get(sk); if (!q) return;
+    while (q.layers.length && !q.layers[0].pending) q.base = q.layers.shift().ent;
+    if (!q.layers.length) optimistic.delete(sk);
+  }
+  async function setOptimistic(componentId, key, value, promiseFactory, opts = {}) {
+    if (typeof promiseFactory !== 'function') throw createError('promiseFactory must be a function','INVALID_ARGS');
+    const root = _splitPath(key).root;
+    const sk = _subKey(componentId, root);
+    const tx = { id: `tx-${Date.now()}-${Math.random().toString(36).slice(2,6)}`, label: opts.label || `optimistic:${sk}`, ops: [], createdAt: Date.now() };
+    let pending;
+    txCapture = tx;
+    try { pending = set(componentId, key, value, opts); } finally { txCapture = null; }
+    await pending;
+    const q = optimistic.get(sk);
+    const layer = q && q.layers.find(l => l.tx === tx);
+    let result;
+    try {
+      result = await promiseFactory(value);
+    } catch (e) {
+      if (layer) _rollbackOptimistic(componentId, root, sk, layer, opts);
+      _ensureMetrics(componentId, root).errors++;
+      await _fireKeyHooks(componentId, root, 'error', { componentId, key: root, error: e, optimistic: true });
+      for (const g of globalHooks.error) try { await Promise.resolve(g({ componentId, key: root, error: e, optimistic: true })); } catch (ee) { log('global error hook failed', ee); }
+      _histPush({ op: 'optimisticRollback', componentId, key: root, value, time: Date.now(), error: e });
+      throw e;
+    }
+    if (layer) { layer.pending = false; _collapseOptimistic(sk); }
+    tx.committedAt = Date.now(); txHistory.splice(txPointer+1); txHistory.push(tx); txPointer = txHistory.length-1;
+    if (tx.sync) { tx.sync.forEach(_syncPost); delete tx.sync; }
+    log('tx commit', tx.id);
+    _histPush({ op: 'optimisticCommit', componentId, key: root, value, time: Date.now(), error: null });
+    return { ok: true, result };
+  }
+  function _rollbackOptimistic(componentId, key, sk, layer, opts) {
+    const q = optimistic.get(sk);
+    const i = q ? q.layers.indexOf(layer) : -1;
+    if (i < 0) return;
+    q.layers.splice(i, 1);
+    const above = q.layers[i];
+    if (above) {
+      // a newer write is still on top: leave its value in place, but have a pending one fall back past this one
+      const op = _optimisticOp(layer.tx, componentId, key); const aboveOp = above.tx && _optimisticOp(above.tx, componentId, key);
+      if (op && aboveOp) aboveOp.prev = op.prev;
+      _collapseOptimistic(sk);
+      return;
+    }
+    const target = i > 0 ? q.layers[i - 1].ent : q.base;
+    _collapseOptimistic(sk);
+    // an untracked change (remove, undo, remote sync) landed since: it wins
+    const comp = _ensureComp(componentId);
+    if (comp.get(key) !== layer.ent) { log('optimistic value superseded, skipping rollback', sk); return; }
+    if (target === undefined) comp.delete(key); else comp.set(key, target);
+    if (opts.persist) {
+      if (target && target.meta && target.meta.persisted) _persist(componentId, key, target.value, opts);
+      else if (!target && storage) try { storage.removeItem(PREFIX + componentId + ':' + key); } catch (_) {}
+    }
+    log('tx rollback', layer.tx.id);
+    _notifySubs(componentId, key, target ? target.value : undefined, Object.assign({}, target && target.meta, { optimistic: true, rolledBack: true }));
+  }
+  function _pendingCount(q) { return q ? q.layers.filter(l => l.pending).length : 0; }
+  function getPending(componentId, key) {
+    if (componentId && key) return _pendingCount(optimistic.get(_subKey(componentId, _splitPath(key).root)));
+    const out = {}; for (const [sk, q] of optimistic.entries()) out[sk] = _pendingCount(q); return out;
+  }
+
+  // time-travel: serialized timeline (state snapshot + committed tx log) for reproducing bug reports
+  const TIMELINE_FORMAT = 'cognispere-state-timeline';
+  function _serializeError(e) { return e ? { message: e.message, code: e.code, details: e.details } : null; }
+  function _serializeOp(op) {
+    if (op.type === 'set') return { type: 'set', componentId: op.componentId, key: op.key, prev: op.prev, new: op.new };
+    if (op.type === 'remove') return { type: 'remove', componentId: op.componentId, key: op.key, prev: op.prev };
+    if (op.type === 'metaPublish') return { type: 'metaPublish', topic: op.topic, prev: op.prev, new: op.new };
+    return null; // domBind and other runtime-only ops cannot be replayed from a file
+  }
+  function exportTimeline({ includeHistory = true, space = 0 } = {}) {
+    if (transactions.length) throw createError('cannot export with an active transaction','TX_ACTIVE');
+    const data = {
+      format: TIMELINE_FORMAT, version: 1, exportedAt: Date.now(), txPointer,
+      state: getRegistry(),
+      meta: Object.fromEntries(metaContext.entries()),
+      txHistory: txHistory.map(tx => ({ id: tx.id, label: tx.label, createdAt: tx.createdAt, committedAt: tx.committedAt, ops: tx.ops.map(_serializeOp).filter(Boolean) }))
+    };
+    if (includeHistory) data.history = history.map(h => Object.assign({}, h, { error: _serializeError(h.error) }));
+    return JSON.stringify(data, null, space);
+  }
+  function importTimeline(input, { notify = true } = {}) {
+    if (transactions.length) throw createError('cannot import with an active transaction','TX_ACTIVE');
+    let data;
+    try { data = typeof input === 'string' ? JSON.parse(input) : input; } catch (e) { throw createError('timeline is not valid JSON','INVALID_TIMELINE', { error: e }); }
+    if (!data || data.format !== TIMELINE_FORMAT || !data.state || !Array.isArray(data.txHistory)) throw createError('not a state timeline','INVALID_TIMELINE');
+    const touched = _touchedKeys();
+    states.clear();
+    for (const [cid, entries] of Object.entries(data.state)) { const comp = _ensureComp(cid); for (const [k, ent] of Object.entries(entries || {})) comp.set(k, { value: ent.value, meta: ent.meta }); }
+    const topics = new Set(metaContext.keys());
+    metaContext.clear();
+    for (const [topic, payload] of Object.entries(data.meta || {})) { metaContext.set(topic, payload); topics.add(topic); }
+    txHistory.length = 0;
+    txHistory.push(...data.txHistory.map(tx => Object.assign({}, tx, { ops: (tx.ops || []).slice() })));
+    txPointer = Math.min(typeof data.txPointer === 'number' ? data.txPointer : txHistory.length - 1, txHistory.length - 1);
+    _histPush({ op: 'importTimeline', time: Date.now(), error: null, txCount: txHistory.length, txPointer });
+    for (const sk of _touchedKeys()) touched.add(sk);
+    if (notify) _renotify(touched, topics);
+    else _invalidateKeys(touched);
+    _syncCurrent(touched, topics);
+    log('timeline imported', txHistory.length, txPointer);
+    return { txCount: txHistory.length, txPointer };
+  }
+  function getTimeline() { return txHistory.map((tx, index) => ({ index, id: tx.id, label: tx.label, committedAt: tx.committedAt, ops: tx.ops.length, current: index === txPointer })); }
+  // move to the state right after txHistory[index] (-1 = before the first tx)
+  async function jumpTo(index) {
+    if (typeof index !== 'number' || index < -1 || index >= txHistory.length) throw createError('index out of range','INVALID_INDEX', { index, length: txHistory.length });
+    if (transactions.length) throw createError('cannot jump with an active transaction','TX_ACTIVE');
+    if (index === txPointer) return { txPointer };
+    if (index > txPointer) { await redo(index - txPointer); return { txPointer }; }
+    // undo rolls back silently, so re-notify every key the skipped txs touched
+    const { keys, topics } = _opsTouched(txHistory.slice(index + 1, txPointer + 1));
+    await undo(txPointer - index);
+    _renotify(keys, topics);
+    return { txPointer };
+  }
+  function _touchedKeys() { const out = new Set(); for (const [cid, map] of states.entries()) for (const k of map.keys()) out.add(_subKey(cid, k)); return out; }
+  function _renotify(keys, topics = []) {
+    for (const sk of keys) {
+      const idx = sk.indexOf(':'); const cid = sk.slice(0, idx); const k = sk.slice(idx + 1);
+      const comp = states.get(cid); const ent = comp && comp.get(k);
+      _notifySubs(cid, k, ent ? ent.value : undefined, ent ? ent.meta : undefined);
+    }
+    for (const topic of topics) _notifyMetaSubs(topic, metaContext.get(topic));
+  }
+
   // hooks per-key
   function addHook(componentId, key, phase, cb) {
     if (!componentId || !key || !phase || typeof cb !== 'function') throw createError('invalid args','INVALID_ARGS');
@@ -102,31 +346,165 @@ const StateEngine = (() => {
     }
   }
 
+  // nested paths: 'a.b.c' or ['a','b','c'] address into the value stored at key 'a'. Parsing never looks at
+  // current state, so a key means the same before and after a reload; a literal dot is written 'a\\.b'
+  // (or as an array segment: ['a.b'])
+  function _splitPath(key) {
+    if (Array.isArray(key)) return { root: String(key[0]), path: key.slice(1).map(String) };
+    if (typeof key !== 'string' || !key.includes('.')) return { root: key, path: [] };
+    const parts = key.split(/(?<!\\)\./).map(p => p.replace(/\\\./g, '.'));
+    return { root: parts[0], path: parts.slice(1) };
+  }
+  function _getIn(obj, path) { return path.reduce((o, p) => o == null ? undefined : o[p], obj); }
+  // structural sharing: only containers along the path are copied, untouched branches keep their identity
+  function _setIn(obj, path, value) {
+    if (!path.length) return value;
+    const [head, ...rest] = path;
+    const cur = obj == null ? undefined : obj[head];
+    const next = _setIn(cur, rest, value);
+    if (obj != null && typeof obj === 'object' && head in obj && Object.is(cur, next)) return obj;
+    const copy = Array.isArray(obj) ? obj.slice() : (obj != null && typeof obj === 'object') ? Object.assign({}, obj) : (/^\d+$/.test(head) ? [] : {});
+    copy[head] = next;
+    return copy;
+  }
+  function _deleteIn(obj, path) {
+    if (obj == null || typeof obj !== 'object' || !path.length) return obj;
+    const [head, ...rest] = path;
+    if (!(head in obj)) return obj;
+    if (rest.length) {
+      const next = _deleteIn(obj[head], rest);
+      if (next === obj[head]) return obj;
+      const copy = Array.isArray(obj) ? obj.slice() : Object.assign({}, obj); copy[head] = next; return copy;
+    }
+    const copy = Array.isArray(obj) ? obj.slice() : Object.assign({}, obj);
+    if (Array.isArray(copy)) copy.splice(Number(head), 1); else delete copy[head];
+    return copy;
+  }
+  function _peekValue(componentId, key) { const comp = states.get(componentId); const ent = comp && comp.get(key); return ent ? ent.value : undefined; }
+
   // subscriptions
-  function subscribe(componentId, key, cb) { const sk = _subKey(componentId, key); if (!subscribers.has(sk)) subscribers.set(sk, new Set()); subscribers.get(sk).add(cb); return () => subscribers.get(sk).delete(cb); }
-  function _notifySubs(componentId, key, value, meta) { const s = subscribers.get(_subKey(componentId,key)); if (!s) return; for (const cb of Array.from(s)) try { cb(value, meta); } catch (e) { log('sub error', e); } // update any DOM bindings for this key
+  function subscribe(componentId, key, cb) {
+    const { root, path } = _splitPath(key);
+    if (path.length) {
+      // path subscribers only fire when their slice changes identity
+      const rk = _subKey(componentId, root);
+      if (computeds.has(rk)) try { _readComputed(computeds.get(rk)); } catch (e) { log('computed error', e); }
+      if (!pathSubs.has(rk)) pathSubs.set(rk, new Set());
+      const sub = { path, cb, last: _getIn(computeds.has(rk) ? computeds.get(rk).value : _peekValue(componentId, root), path) };
+      pathSubs.get(rk).add(sub);
+      return () => pathSubs.get(rk).delete(sub);
+    }
+    key = root; // unescaped ('a\\.b' -> 'a.b') or unwrapped (['a'] -> 'a')
+    const sk = _subKey(componentId, key); if (!subscribers.has(sk)) subscribers.set(sk, new Set()); subscribers.get(sk).add(cb);
+    // evaluate computed keys once so their dependencies are known before the first source write
+    if (computeds.has(sk)) try { _readComputed(computeds.get(sk)); } catch (e) { log('computed error', e); }
+    return () => subscribers.get(sk).delete(cb);
+  }
+  function _notifySubs(componentId, key, value, meta) { const s = subscribers.get(_subKey(componentId,key)); if (s) for (const cb of Array.from(s)) try { cb(value, meta); } catch (e) { log('sub error', e); }
+    const ps = pathSubs.get(_subKey(componentId, key));
+    if (ps) for (const sub of Array.from(ps)) {
+      const slice = _getIn(value, sub.path);
+      if (Object.is(slice, sub.last)) continue;
+      sub.last = slice;
+      try { sub.cb(slice, meta); } catch (e) { log('sub error', e); }
+    }
+    // update any DOM bindings for this key
     if (typeof document !== 'undefined') {
       // update bound elements synchronously
-      for (const [el, info] of Array.from(domBindings.entries ? domBindings.entries() : []) ) {
+      for (const el of Array.from(boundElements)) {
         try {
-          if (info.componentId === componentId && info.key === key) {
-            if (info.syncInput && ('value' in el)) el.value = value == null ? '' : value;
-            else el.textContent = value == null ? '' : String(value);
-          }
+          const info = _liveBinding(el);
+          if (info && info.componentId === componentId && info.key === key) _renderBinding(el, info, value);
         } catch(_) {}
       }
+      const ds = directiveIndex.get(_subKey(componentId, key));
+      if (ds) for (const d of Array.from(ds)) try { d.apply(value); } catch (e) { log('directive error', d.type, e); }
     }
+    _invalidateDependents(componentId, key);
   }
 
+  // boundElements holds elements strongly: one that left the DOM without an unbind is dropped on the next pass.
+  // Elements bound before insertion are kept until they have been seen connected once
+  function _liveBinding(el) {
+    const info = domBindings.get(el);
+    if (el.isConnected) { if (info) info.connected = true; return info; }
+    if (info && !info.connected) return info;
+    domBindings.delete(el); boundElements.delete(el);
+    return null;
+  }
+
+  // computed / select
+  function _track(componentId, key) { if (trackStack.length) trackStack[trackStack.length - 1].add(_subKey(componentId, key)); }
+  function _unlinkDeps(sk, deps) { for (const d of deps) { const s = dependents.get(d); if (!s) continue; s.delete(sk); if (!s.size) dependents.delete(d); } }
+  function _evalComputed(c) {
+    const sk = _subKey(c.componentId, c.key);
+    if (c.evaluating) throw createError(`circular computed ${sk}`, 'COMPUTED_CYCLE');
+    const t0 = now();
+    const deps = new Set();
+    let value;
+    trackStack.push(deps); c.evaluating = true;
+    try { value = c.fn(get); } finally { trackStack.pop(); c.evaluating = false; }
+    _unlinkDeps(sk, Array.from(c.deps).filter(d => !deps.has(d)));
+    for (const d of deps) { if (!dependents.has(d)) dependents.set(d, new Set()); dependents.get(d).add(sk); }
+    c.deps = deps; c.dirty = false;
+    const changed = !c.hasValue || !c.equals(c.value, value);
+    if (changed) c.value = value;
+    c.hasValue = true;
+    _histPush({ op: 'compute', componentId: c.componentId, key: c.key, value: c.value, time: Date.now(), error: null, performance: { duration: now() - t0 } });
+    return changed;
+  }
+  function _readComputed(c) { if (c.dirty) _evalComputed(c); return c.value; }
+  function _hasObservers(componentId, key) {
+    const s = subscribers.get(_subKey(componentId, key));
+    if (s && s.size) return true;
+    const ps = pathSubs.get(_subKey(componentId, key));
+    if (ps && ps.size) return true;
+    for (const el of Array.from(boundElements)) { const info = _liveBinding(el); if (info && info.componentId === componentId && info.key === key) return true; }
+    const ds = directiveIndex.get(_subKey(componentId, key));
+    return !!(ds && ds.size);
+  }
+  // mark everything downstream dirty; only observed computeds recompute now, the rest wait for the next get()
+  function _invalidateDependents(componentId, key) {
+    const queue = [_subKey(componentId, key)];
+    const dirtied = [];
+    while (queue.length) {
+      const s = dependents.get(queue.shift());
+      if (!s) continue;
+      for (const ck of s) { const c = computeds.get(ck); if (!c || c.dirty) continue; c.dirty = true; dirtied.push(c); queue.push(ck); }
+    }
+    for (const c of dirtied) {
+      if (!c.dirty || !_hasObservers(c.componentId, c.key)) continue;
+      try { if (_evalComputed(c)) _notifySubs(c.componentId, c.key, c.value, { computed: true }); } catch (e) { log('computed error', e); }
+    }
+  }
+  function computed(componentId, key, fn, { equals = Object.is } = {}) {
+    if (!componentId || !key || typeof fn !== 'function') throw createError('invalid args','INVALID_ARGS');
+    const sk = _subKey(componentId, key);
+    if (computeds.has(sk)) _disposeComputed(sk);
+    computeds.set(sk, { componentId, key, fn, equals, deps: new Set(), value: undefined, hasValue: false, dirty: true, evaluating: false });
+    log('computed', sk);
+    return () => _disposeComputed(sk);
+  }
+  function _disposeComputed(sk) { const c = computeds.get(sk); if (!c) return; _unlinkDeps(sk, c.deps); computeds.delete(sk); }
+  // anonymous memoized selector: call it to read, .subscribe(cb) to observe
+  function select(fn, opts = {}) {
+    const key = `sel-${++selectorCounter}`;
+    const dispose = computed(SELECT_COMPONENT, key, fn, opts);
+    const selector = () => get(SELECT_COMPONENT, key);
+    return Object.assign(selector, { componentId: SELECT_COMPONENT, key, subscribe: (cb) => subscribe(SELECT_COMPONENT, key, cb), dispose });
+  }
+  function listComputed() { const out = {}; for (const [sk, c] of computeds.entries()) out[sk] = { deps: Array.from(c.deps), dirty: c.dirty }; return out; }
+
   // meta-context / synergy
   function publishMeta(topic, payload) {
     const prev = metaContext.has(topic) ? metaContext.get(topic) : undefined;
     metaContext.set(topic, payload);
     _recordTx({ type: 'metaPublish', topic, prev, new: payload });
     _notifyMetaSubs(topic, payload);
+    _syncOut({ type: 'meta', topic, payload }, _subKey('$meta', topic));
   }
   function onMeta(topic, cb) { if (!metaSubs.has(topic)) metaSubs.set(topic, new Set()); metaSubs.get(topic).add(cb); return () => metaSubs.get(topic).delete(cb); }
-  function _notifyMetaSubs(topic, payload) { const s = metaSubs.get(topic); if (!s) return; for (const cb of Array.from(s)) try { cb(payload); } catch (e) { log('meta sub error', e); } }
+  function _notifyMetaSubs(topic, payload, meta) { const s = metaSubs.get(topic); if (!s) return; for (const cb of Array.from(s)) try { cb(payload, meta); } catch (e) { log('meta sub error', e); } }
 
   function registerDependency(targetComponentId, targetKey, sources = [], resolver) {
     const tkey = _subKey(targetComponentId, targetKey);
@@ -149,30 +527,183 @@ const StateEngine = (() => {
   }
 
   // storage helpers
-  function setStorageMode(mode = 'session') { storageMode = mode; if (typeof window === 'undefined') storage = null; else if (mode === 'local') storage = window.localStorage; else if (mode === 'session') storage = window.sessionStorage; else storage = null; log('storageMode', storageMode); }
-  function _persist(componentId, key, val, opts = {}) { if (!storage) return; try { const fullKey = PREFIX + componentId + ':' + key; const payload = opts.compress ? btoa(JSON.stringify(val)) : JSON.stringify(val); storage.setItem(fullKey, payload); } catch(e){ log('persist err', e); } }
-  function _restore(componentId, key) { if (!storage) return undefined; try { const fullKey = PREFIX + componentId + ':' + key; const raw = storage.getItem(fullKey); if (!raw) return undefined; try { return JSON.parse(raw); } catch (e) { try { return JSON.parse(atob(raw)); } catch(_) { return undefined; } } } catch(e){ return undefined; } }
+  // adapters mirror the Web Storage surface (sync getItem/setItem/removeItem) plus optional keys(), hydrate(), flush()
+  function setStorageMode(mode = 'session', opts = {}) {
+    _disposeStorage();
+    storageMode = mode;
+    if (mode === 'indexeddb') storage = createIndexedDBAdapter(Object.assign({ onError: _storageError }, opts));
+    else if (typeof window === 'undefined') storage = null;
+    else if (mode === 'local') storage = window.localStorage;
+    else if (mode === 'session') storage = window.sessionStorage;
+    else storage = null;
+    log('storageMode', storageMode);
+  }
+  function setStorageAdapter(adapter) {
+    if (!adapter || ['getItem','setItem','removeItem'].some(fn => typeof adapter[fn] !== 'function')) throw createError('adapter must implement getItem/setItem/removeItem','INVALID_ADAPTER');
+    if (typeof adapter.onError !== 'function') adapter.onError = _storageError;
+    if (adapter !== storage) _disposeStorage();
+    storage = adapter; storageMode = adapter.name || 'custom';
+    log('storageMode', storageMode);
+  }
+  // replaced adapters get to flush and drop their listeners
+  function _disposeStorage() { if (storage && typeof storage.dispose === 'function') try { storage.dispose(); } catch (e) { log('storage dispose failed', e); } }
+  function _parseFullKey(fullKey) {
+    if (!fullKey || !fullKey.startsWith(PREFIX)) return null;
+    const rest = fullKey.slice(PREFIX.length); const idx = rest.indexOf(':');
+    return idx > 0 ? { componentId: rest.slice(0, idx), key: rest.slice(idx + 1) } : null;
+  }
+  function _storageKeys() {
+    if (!storage) return [];
+    if (typeof storage.keys === 'function') return Array.from(storage.keys());
+    const out = []; for (let i = 0; i < storage.length; i++) out.push(storage.key(i)); return out;
+  }
+  function _isQuotaError(e) { return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22 || e.code === 1014); }
+  // quota failures go to globalHooks.error once per affected key; anything else is only logged
+  function _storageError(e, fullKeys = []) {
+    if (!_isQuotaError(e)) { log('persist err', e); return; }
+    for (const fk of [].concat(fullKeys)) {
+      const { componentId, key } = _parseFullKey(fk) || {};
+      const err = createError('storage quota exceeded','QUOTA_EXCEEDED', { componentId, key, storageMode, error: e });
+      log('persist err', err);
+      for (const g of globalHooks.error) try { Promise.resolve(g({ componentId, key, error: err })).catch(ee => log('global error hook failed', ee)); } catch (ee) { log('global error hook failed', ee); }
+    }
+  }
+
+  // IndexedDB adapter: sync reads from an in-memory mirror filled by hydrate(), writes batched into one readwrite tx
+  function createIndexedDBAdapter({ dbName = 'cognispere-state', storeName = 'kv', batchDelay = 50, onError = null } = {}) {
+    const cache = new Map(); // fullKey -> raw
+    const pending = new Map(); // fullKey -> raw | null (delete)
+    let dbPromise = null;
+    let timer = null;
+    let flushing = Promise.resolve();
+    let writeSeq = 0; const written = new Map(); // fullKey -> seq of the last local write
+    const req2p = (req) => new Promise((res, rej) => { req.onsuccess = () => res(req.result); req.onerror = () => rej(req.error); });
+    function open() {
+      if (typeof indexedDB === 'undefined') return Promise.reject(createError('indexedDB unavailable','NO_INDEXEDDB'));
+      if (!dbPromise) {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => { if (!req.result.objectStoreNames.contains(storeName)) req.result.createObjectStore(storeName); };
+        dbPromise = req2p(req).catch(e => { dbPromise = null; throw e; });
+      }
+      return dbPromise;
+    }
+    async function hydrate() {
+      const since = writeSeq;
+      const db = await open();
+      // land queued and in-flight batches first so the read sees them
+      await flush();
+      const st = db.transaction(storeName, 'readonly').objectStore(storeName);
+      const [keys, values] = await Promise.all([req2p(st.getAllKeys()), req2p(st.getAll())]);
+      // writes made while hydrating win over what was on disk
+      keys.forEach((k, i) => { if (!pending.has(k) && !((written.get(k) || 0) > since)) cache.set(k, values[i]); });
+      return cache.size;
+    }
+    function schedule() { if (timer) return; timer = setTimeout(() => { timer = null; flush(); }, batchDelay); }
+    function flush() {
+      if (timer) { clearTimeout(timer); timer = null; }
+      if (!pending.size) return flushing;
+      const batch = new Map(pending); pending.clear();
+      flushing = flushing.then(async () => {
+        const db = await open();
+        await new Promise((res, rej) => {
+          const tx = db.transaction(storeName, 'readwrite'); const st = tx.objectStore(storeName);
+          for (const [k, raw] of batch) { if (raw === null) st.delete(k); else st.put(raw, k); }
+          tx.oncomplete = () => res(); tx.onerror = () => rej(tx.error); tx.onabort = () => rej(tx.error || createError('transaction aborted','IDB_ABORT'));
+        });
+      }).catch(e => { if (typeof adapter.onError === 'function') adapter.onError(e, Array.from(batch.keys())); else log('idb flush err', e); });
+      return flushing;
+    }
+    const adapter = {
+      name: 'indexeddb', onError,
+      getItem: (k) => cache.has(k) ? cache.get(k) : null,
+      setItem: (k, raw) => { cache.set(k, String(raw)); pending.set(k, String(raw)); written.set(k, ++writeSeq); schedule(); },
+      removeItem: (k) => { cache.delete(k); pending.set(k, null); written.set(k, ++writeSeq); schedule(); },
+      keys: () => cache.keys(),
+      hydrate, flush,
+      // flush what is queued and stop listening for pagehide
+      dispose() { if (hasWindow) window.removeEventListener('pagehide', onPageHide); return flush(); }
+    };
+    const onPageHide = () => { flush(); };
+    const hasWindow = typeof window !== 'undefined' && !!window.addEventListener;
+    if (hasWindow) window.addEventListener('pagehide', onPageHide);
+    return adapter;
+  }
+
+  // load the adapter (async for indexeddb) then restore every persisted key so subscribers and bindings see it
+  async function hydrate({ restore = true } = {}) {
+    if (!storage) return { restored: 0 };
+    const t0 = now();
+    if (typeof storage.hydrate === 'function') await storage.hydrate();
+    let restored = 0;
+    if (restore) for (const fk of _storageKeys()) {
+      const parsed = _parseFullKey(fk);
+      if (!parsed || _ensureComp(parsed.componentId).has(parsed.key)) continue;
+      get(parsed.componentId, parsed.key);
+      if (_ensureComp(parsed.componentId).has(parsed.key)) restored++;
+    }
+    _histPush({ op: 'hydrate', storageMode, restored, time: Date.now(), error: null, performance: { duration: now() - t0 } });
+    return { restored };
+  }
+  async function flush() { if (storage && typeof storage.flush === 'function') await storage.flush(); }
+  // schema'd components are stored as { __v, value } so _restore knows which migrations to run
+  function _persist(componentId, key, val, opts = {}) { if (!storage) return; try { const fullKey = PREFIX + componentId + ':' + key; const schema = schemas.get(componentId); const data = schema ? { __v: schema.version, value: val } : val; const payload = opts.compress ? btoa(JSON.stringify(data)) : JSON.stringify(data); storage.setItem(fullKey, payload); } catch(e){ _storageError(e, PREFIX + componentId + ':' + key); } }
+  function _restore(componentId, key) {
+    if (!storage) return undefined;
+    let parsed;
+    try { const fullKey = PREFIX + componentId + ':' + key; const raw = storage.getItem(fullKey); if (!raw) return undefined; try { parsed = JSON.parse(raw); } catch (e) { try { parsed = JSON.parse(atob(raw)); } catch(_) { return undefined; } } } catch(e){ return undefined; }
+    const schema = schemas.get(componentId);
+    if (!schema) return parsed;
+    // unversioned payloads predate the schema and are treated as version 0
+    const versioned = parsed && typeof parsed === 'object' && typeof parsed.__v === 'number' && 'value' in parsed;
+    const fromVersion = versioned ? parsed.__v : 0;
+    let value = versioned ? parsed.value : parsed;
+    try { value = _migrate(componentId, key, value, fromVersion); } catch (e) { log('migration failed', componentId, key, e); return undefined; }
+    const res = validate(componentId, key, value);
+    if (!res.ok) { log('restored value rejected by schema', componentId, key, res.errors); return undefined; }
+    if (fromVersion !== schema.version) _persist(componentId, key, value);
+    return value;
+  }
 
   // set (records tx, fires hooks, updates subs, persists)
   async function set(componentId, key, value, opts = {}) {
     const t0 = now();
     if (!componentId || !key) throw createError('componentId and key required','INVALID_ARGS');
+    // nested path: hooks, metrics and validator run against the root key (validator/hooks get the leaf value + path)
+    const { root, path } = _splitPath(key);
+    key = root;
+    if (computeds.has(_subKey(componentId, key))) throw createError(`computed key ${componentId}:${key} is read-only`,'READ_ONLY');
     const comp = _ensureComp(componentId);
     const prevEntry = comp.has(key) ? comp.get(key) : undefined;
     const prev = prevEntry ? { value: prevEntry.value, meta: prevEntry.meta } : undefined;
-    _recordTx({ type: 'set', componentId, key, prev, new: { value, meta: opts.meta || null } });
+    const txOp = { type: 'set', componentId, key, prev, new: { value, meta: opts.meta || null } };
+    const optimisticTx = txCapture;
+    _recordTx(txOp);
     try {
-      await _fireKeyHooks(componentId, key, 'before', { componentId, key, prev, value, opts });
-      for (const g of globalHooks.beforeSet) try { await Promise.resolve(g({ componentId, key, prev, value, opts })); } catch (e) { log('global beforeSet err', e); }
+      await _fireKeyHooks(componentId, key, 'before', { componentId, key, path, prev, value, opts });
+      for (const g of globalHooks.beforeSet) try { await Promise.resolve(g({ componentId, key, path, prev, value, opts })); } catch (e) { log('global beforeSet err', e); }
       if (opts.validator && typeof opts.validator === 'function') { const ok = await Promise.resolve(opts.validator(value)); if (!ok) throw createError('validator rejected value','VALIDATOR_REJECT'); }
-      comp.set(key, { value, meta: { persisted: !!opts.persist, expires: opts.expires ? Date.now() + opts.expires : undefined } });
-      if (opts.persist) _persist(componentId, key, value, opts);
-      _notifySubs(componentId, key, value, comp.get(key).meta);
-      await _fireKeyHooks(componentId, key, 'after', { componentId, key, prev, value, opts });
-      for (const g of globalHooks.afterSet) try { await Promise.resolve(g({ componentId, key, prev, value, opts })); } catch (e) { log('global afterSet err', e); }
+      // rebuild the root synchronously right before commit so concurrent path writes to one root don't clobber each other
+      let next = value;
+      if (path.length) {
+        const base = comp.has(key) ? comp.get(key).value : get(componentId, key);
+        const cur = comp.get(key);
+        next = _setIn(base, path, value);
+        txOp.prev = cur ? { value: cur.value, meta: cur.meta } : undefined;
+        txOp.new.value = next;
+        // the leaf already held this value: nothing to commit, notify or broadcast
+        if (Object.is(next, base)) return { ok: true, unchanged: true };
+      }
+      _assertSchema(componentId, key, next);
+      comp.set(key, { value: next, meta: { persisted: !!opts.persist, expires: opts.expires ? Date.now() + opts.expires : undefined } });
+      _trackOptimistic(componentId, key, comp.get(key), txOp.prev, optimisticTx);
+      if (opts.persist) _persist(componentId, key, next, opts);
+      _notifySubs(componentId, key, next, comp.get(key).meta);
+      _syncOut({ type: 'set', componentId, key, value: next, meta: comp.get(key).meta }, _subKey(componentId, key), optimisticTx);
+      await _fireKeyHooks(componentId, key, 'after', { componentId, key, path, prev, value, opts });
+      for (const g of globalHooks.afterSet) try { await Promise.resolve(g({ componentId, key, path, prev, value, opts })); } catch (e) { log('global afterSet err', e); }
       const dur = now() - t0;
       const m = _ensureMetrics(componentId, key); m.setCount++; m.avgTime = (m.avgTime * (m.setCount - 1) + dur) / m.setCount;
-      _histPush({ op: 'set', componentId, key, value, time: Date.now(), error: null, performance: { duration: dur } });
+      _histPush({ op: 'set', componentId, key, path, value, time: Date.now(), error: null, performance: { duration: dur } });
       // trigger dependencies (handled via registerDependency subscriptions too)
       return { ok: true };
     } catch (e) {
@@ -180,7 +711,7 @@ const StateEngine = (() => {
       _ensureMetrics(componentId, key).errors++;
       await _fireKeyHooks(componentId, key, 'error', { componentId, key, error: e });
       for (const g of globalHooks.error) try { await Promise.resolve(g({ componentId, key, error: e })); } catch (ee) { log('global error hook failed', ee); }
-      _histPush({ op: 'set', componentId, key, value, time: Date.now(), error: e, performance: { duration: dur } });
+      _histPush({ op: 'set', componentId, key, path, value, time: Date.now(), error: e, performance: { duration: dur } });
       throw e;
     }
   }
@@ -188,6 +719,12 @@ const StateEngine = (() => {
   // get (restore persisted if needed)
   function get(componentId, key, { restore = true } = {}) {
     if (!componentId || !key) throw createError('componentId and key required','INVALID_ARGS');
+    const { root, path } = _splitPath(key);
+    if (path.length) return _getIn(get(componentId, root, { restore }), path);
+    key = root;
+    _track(componentId, key);
+    const sk = _subKey(componentId, key);
+    if (computeds.has(sk)) return _readComputed(computeds.get(sk));
     const comp = _ensureComp(componentId);
     if (comp.has(key)) {
       const ent = comp.get(key);
@@ -209,7 +746,7 @@ const StateEngine = (() => {
         return restored;
       }
     }
-    return undefined;
+    return _schemaDefault(componentId, key);
   }
 
   // batch set with concurrency
@@ -232,6 +769,12 @@ const StateEngine = (() => {
 
   // remove
   function remove(componentId, key) {
+    const { root, path } = _splitPath(key);
+    if (path.length) return _removePath(componentId, root, path);
+    key = root;
+    if (computeds.has(_subKey(componentId, key))) throw createError(`computed key ${componentId}:${key} is read-only`,'READ_ONLY');
+    const schema = schemas.get(componentId);
+    if (schema && schema.keys[key] && schema.keys[key].required) throw createError(`schema requires ${componentId}:${key}`, 'VALIDATOR_REJECT', { componentId, key, errors: ['value required'] });
     const comp = _ensureComp(componentId);
     const prev = comp.has(key) ? comp.get(key) : undefined;
     _recordTx({ type: 'remove', componentId, key, prev });
@@ -239,30 +782,113 @@ const StateEngine = (() => {
     try { if (storage) storage.removeItem(PREFIX + componentId + ':' + key); } catch(_) {}
     _histPush({ op: 'remove', componentId, key, time: Date.now(), error: null });
     _notifySubs(componentId, key, undefined);
+    _syncOut({ type: 'remove', componentId, key }, _subKey(componentId, key));
     return { ok: true };
   }
 
+  // removing a nested path is an immutable update of the root value, recorded as a set
+  function _removePath(componentId, key, path) {
+    if (computeds.has(_subKey(componentId, key))) throw createError(`computed key ${componentId}:${key} is read-only`,'READ_ONLY');
+    const comp = _ensureComp(componentId);
+    if (!comp.has(key)) return { ok: true };
+    const prevEntry = comp.get(key);
+    const value = _deleteIn(prevEntry.value, path);
+    if (value === prevEntry.value) return { ok: true };
+    _assertSchema(componentId, key, value);
+    const entry = { value, meta: prevEntry.meta };
+    _recordTx({ type: 'set', componentId, key, prev: { value: prevEntry.value, meta: prevEntry.meta }, new: entry });
+    comp.set(key, entry);
+    if (entry.meta && entry.meta.persisted) _persist(componentId, key, value);
+    _histPush({ op: 'remove', componentId, key, path, time: Date.now(), error: null });
+    _notifySubs(componentId, key, value, entry.meta);
+    _syncOut({ type: 'set', componentId, key, value, meta: entry.meta }, _subKey(componentId, key));
+    return { ok: true };
+  }
+
+  // cross-tab sync: per-key last-writer-wins on { ts, origin }, origin (tab id) breaks ties
+  function enableSync({ channel = 'cognispere-state', components = null, metaTopics = true } = {}) {
+    if (typeof BroadcastChannel === 'undefined') throw createError('BroadcastChannel unavailable','NO_BROADCAST_CHANNEL');
+    disableSync();
+    const bc = new BroadcastChannel(channel);
+    bc.onmessage = _onSyncMessage;
+    sync = { channel: bc, name: channel, components: components ? new Set(components) : null, metaTopics };
+    log('sync enabled', channel, tabId);
+    return disableSync;
+  }
+  function disableSync() { if (!sync) return; try { sync.channel.close(); } catch (_) {} log('sync disabled', sync.name); sync = null; }
+  function getSyncStatus() { return { enabled: !!sync, channel: sync ? sync.name : null, tabId }; }
+  function _syncs(msg) {
+    if (msg.type === 'meta') return sync.metaTopics === true || (Array.isArray(sync.metaTopics) && sync.metaTopics.includes(msg.topic));
+    return !sync.components || sync.components.has(msg.componentId);
+  }
+  function _stamp(clockKey) { const cur = syncClocks.get(clockKey); const ts = Math.max(Date.now(), cur ? cur.ts + 1 : 0); syncClocks.set(clockKey, { ts, origin: tabId }); return ts; }
+  function _wins(clockKey, ts, origin) { const cur = syncClocks.get(clockKey); return !cur || ts > cur.ts || (ts === cur.ts && origin > cur.origin); }
+  // writes inside a transaction (or an optimistic write's private tx) are held on the tx and only broadcast
+  // once the outermost transaction commits; nested commits hand them up to their parent
+  function _syncOut(msg, clockKey, ownTx = null) {
+    if (!sync || !_syncs(msg)) return;
+    const out = Object.assign({ v: 1, origin: tabId, ts: _stamp(clockKey) }, msg);
+    const tx = ownTx || transactions[transactions.length - 1];
+    if (tx) (tx.sync || (tx.sync = [])).push(out);
+    else _syncPost(out);
+  }
+  function _syncPost(msg) { if (!sync) return; try { sync.channel.postMessage(msg); } catch (e) { log('sync post failed', e); } }
+  function _onSyncMessage(ev) {
+    const msg = ev && ev.data;
+    if (!sync || !msg || msg.v !== 1 || msg.origin === tabId || !_syncs(msg)) return;
+    const clockKey = msg.type === 'meta' ? _subKey('$meta', msg.topic) : _subKey(msg.componentId, msg.key);
+    if (!_wins(clockKey, msg.ts, msg.origin)) { log('sync stale', clockKey, msg.origin); return; }
+    const remoteMeta = { remote: true, origin: msg.origin, ts: msg.ts };
+    try {
+      if (msg.type === 'meta') {
+        if (msg.payload === undefined) metaContext.delete(msg.topic); else metaContext.set(msg.topic, msg.payload);
+        _notifyMetaSubs(msg.topic, msg.payload, remoteMeta);
+      } else if (msg.type === 'set') {
+        if (computeds.has(clockKey)) return;
+        const res = validate(msg.componentId, msg.key, msg.value);
+        if (!res.ok) { log('sync value rejected by schema', clockKey, res.errors); return; }
+        const meta = Object.assign({}, msg.meta, remoteMeta);
+        _ensureComp(msg.componentId).set(msg.key, { value: msg.value, meta });
+        if (meta.persisted) _persist(msg.componentId, msg.key, msg.value);
+        _notifySubs(msg.componentId, msg.key, msg.value, meta);
+      } else if (msg.type === 'remove') {
+        _ensureComp(msg.componentId).delete(msg.key);
+        // drop the persisted copy too, or the value would come back on the next reload
+        try { if (storage) storage.removeItem(PREFIX + msg.componentId + ':' + msg.key); } catch (_) {}
+        _notifySubs(msg.componentId, msg.key, undefined, remoteMeta);
+      } else return;
+      syncClocks.set(clockKey, { ts: msg.ts, origin: msg.origin });
+      _histPush({ op: 'sync', type: msg.type, componentId: msg.componentId, key: msg.key, topic: msg.topic, origin: msg.origin, time: Date.now(), error: null });
+    } catch (e) { log('sync apply failed', e); }
+  }
+
   // DOM binding: find elements with data-state="component:key" and bind them
-  function bindElement(el, { componentId, key, attr = 'text', syncInput = true } = {}) {
+  function bindElement(el, { componentId, key, attr = 'text', syncInput = true, format: fmt = null } = {}) {
     if (!(el instanceof Element)) throw createError('element required','INVALID_ARG');
-    domBindings.set(el, { componentId, key, attr, syncInput });
+    const { root, path } = _splitPath(key);
+    if (!path.length) key = root;
+    const info = { componentId, key, attr, syncInput, format: fmt };
+    domBindings.set(el, info);
+    // path keys render through a path subscription so they only update when their slice changes
+    const unsub = path.length ? subscribe(componentId, key, v => { if (!_liveBinding(el)) { unsub(); return; } try { _renderBinding(el, info, v); } catch(_) {} }) : null;
+    if (!unsub) boundElements.add(el);
+    const unbind = () => { if (unsub) unsub(); domBindings.delete(el); boundElements.delete(el); };
     // initialize from state
-    const val = get(componentId, key);
-    try {
-      if (syncInput && ('value' in el)) el.value = val == null ? '' : val;
-      else el.textContent = val == null ? '' : String(val);
-    } catch(_) {}
+    try { _renderBinding(el, info, get(componentId, key)); } catch(_) {}
     // if input-like, listen for changes to reflect into state
-    if (syncInput && ('value' in el)) {
+    // computed keys are read-only: display them but never write input back
+    if (syncInput && ('value' in el) && !computeds.has(_subKey(componentId, key))) {
+      const isCheckbox = el.type === 'checkbox';
+      const eventName = isCheckbox ? 'change' : 'input';
       const handler = (ev) => {
-        const newVal = el.value;
+        const newVal = isCheckbox ? el.checked : el.value;
         set(componentId, key, newVal).catch(e => log('dom->state set error', e));
       };
-      el.addEventListener('input', handler);
+      el.addEventListener(eventName, handler);
       _recordTx({ type: 'domBind', element: el, handler });
-      return () => { el.removeEventListener('input', handler); domBindings.delete(el); };
+      return () => { el.removeEventListener(eventName, handler); unbind(); };
     }
-    return () => { domBindings.delete(el); };
+    return unbind;
   }
 
   // auto-bind all elements with data-state on DOMContentLoaded
@@ -273,12 +899,118 @@ const StateEngine = (() => {
       for (const n of Array.from(nodes)) {
         const attr = n.getAttribute('data-state') || '';
         const [componentId, key] = attr.split(':').map(s => s && s.trim());
-        if (componentId && key) bindElement(n, { componentId, key, attr: 'text', syncInput: n.matches('input,textarea,[contenteditable]') });
+        if (componentId && key) bindElement(n, { componentId, key, attr: 'text', syncInput: n.matches('input,textarea,[contenteditable]'), format: n.getAttribute('data-state-format') });
       }
     } catch (e) { log('autoBind err', e); }
+    bindDirectives(root);
   }
   if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => _autoBind(document));
 
+  // formatters (data-state-format="name|name2", data-item-format, "comp:key|name" in directive specs)
+  function registerFormatter(name, fn) {
+    if (!name || typeof fn !== 'function') throw createError('invalid formatter','INVALID_ARGS');
+    formatters.set(name, fn);
+    return () => formatters.delete(name);
+  }
+  function format(value, names, ctx = {}) {
+    if (!names || value == null) return value;
+    return String(names).split('|').map(n => n.trim()).filter(Boolean).reduce((v, n) => {
+      const fn = formatters.get(n);
+      if (!fn) { log('unknown formatter', n); return v; }
+      return fn(v, ctx);
+    }, value);
+  }
+  function _toText(v) { return v == null ? '' : String(v); }
+  function _setAttr(el, name, v) { if (v == null || v === false) el.removeAttribute(name); else el.setAttribute(name, v === true ? '' : String(v)); }
+  function _renderBinding(el, info, value) {
+    const ctx = { componentId: info.componentId, key: info.key, el };
+    if (info.syncInput && el.type === 'checkbox') el.checked = !!value;
+    else if (info.syncInput && ('value' in el)) el.value = value == null ? '' : value;
+    else if (info.attr && info.attr !== 'text') _setAttr(el, info.attr, format(value, info.format, ctx));
+    else el.textContent = _toText(format(value, info.format, ctx));
+  }
+
+  // directives:
+  //   data-state-each="comp:key"              repeat the child <template> (or data-state-template="#id") per array item
+  //   data-state-class="cls:comp:key; ..."    toggle a class on truthiness, "cls:!comp:key" negates
+  //   data-state-show / data-state-hide="comp:key"
+  //   data-state-attr="attr:comp:key|fmt; ..."
+  // inside templates: data-item="field.path" ('.' = item, '$index'), data-item-format, data-item-attr, data-item-class
+  function _parseSpecs(str) {
+    return String(str || '').split(';').map(x => x.trim()).filter(Boolean).map(entry => {
+      const i = entry.indexOf(':');
+      const name = entry.slice(0, i).trim();
+      const [ref, ...fmts] = entry.slice(i + 1).split('|');
+      return Object.assign({ name, fmt: fmts.join('|') || null }, _parseRef(ref));
+    }).filter(sp => sp.name);
+  }
+  function _parseRef(ref) {
+    const r = String(ref || '').trim(); const negate = r.startsWith('!');
+    const [componentId, key] = r.replace(/^!/, '').split(':').map(x => x && x.trim());
+    return { componentId, key, path: key === undefined ? componentId : undefined, negate };
+  }
+  function _addDirective(el, type, componentId, key, apply) {
+    if (!componentId || !key) throw createError(`invalid ${type} directive`,'INVALID_DIRECTIVE', { el });
+    const { root, path } = _splitPath(key);
+    if (path.length) { const unsub = subscribe(componentId, key, apply); apply(get(componentId, key)); return unsub; }
+    key = root;
+    const sk = _subKey(componentId, key);
+    const d = { el, type, apply };
+    if (!directiveIndex.has(sk)) directiveIndex.set(sk, new Set());
+    directiveIndex.get(sk).add(d);
+    apply(get(componentId, key));
+    return () => { const ds = directiveIndex.get(sk); if (ds) { ds.delete(d); if (!ds.size) directiveIndex.delete(sk); } };
+  }
+  function _itemValue(item, path, index) {
+    if (!path || path === '.') return item;
+    if (path === '$index') return index;
+    return path.split('.').reduce((o, p) => o == null ? undefined : o[p], item);
+  }
+  function _fillItem(root, item, index) {
+    const q = (sel) => Array.from(root.querySelectorAll(sel));
+    for (const n of q('[data-item]')) n.textContent = _toText(format(_itemValue(item, n.getAttribute('data-item'), index), n.getAttribute('data-item-format'), { item, index, el: n }));
+    for (const n of q('[data-item-attr]')) for (const sp of _parseSpecs(n.getAttribute('data-item-attr'))) _setAttr(n, sp.name, format(_itemValue(item, sp.path, index), sp.fmt, { item, index, el: n }));
+    for (const n of q('[data-item-class]')) for (const sp of _parseSpecs(n.getAttribute('data-item-class'))) n.classList.toggle(sp.name, !!_itemValue(item, sp.path, index) !== sp.negate);
+  }
+  function _eachDirective(el, ref) {
+    const tplRef = el.getAttribute('data-state-template');
+    const tpl = tplRef ? document.querySelector(tplRef) : Array.from(el.children).find(c => c.tagName === 'TEMPLATE');
+    if (!tpl || !tpl.content) throw createError('each directive needs a <template>','INVALID_DIRECTIVE', { el });
+    const rendered = [];
+    const { componentId, key } = _parseRef(ref);
+    return _addDirective(el, 'each', componentId, key, (items) => {
+      for (const n of rendered.splice(0)) if (n.parentNode) n.parentNode.removeChild(n);
+      const frag = document.createDocumentFragment();
+      (Array.isArray(items) ? items : []).forEach((item, index) => {
+        const clone = tpl.content.cloneNode(true);
+        _fillItem(clone, item, index);
+        rendered.push(...Array.from(clone.childNodes));
+        frag.appendChild(clone);
+      });
+      el.appendChild(frag);
+    });
+  }
+  function bindDirectives(root = document) {
+    if (typeof document === 'undefined' || !root) return () => {};
+    const removers = [];
+    const scan = (attr, bindFn) => {
+      const nodes = Array.from(root.querySelectorAll(`[${attr}]`));
+      if (root.matches && root.matches(`[${attr}]`)) nodes.unshift(root);
+      for (const el of nodes) {
+        if (!directiveEls.has(el)) directiveEls.set(el, new Map());
+        const bound = directiveEls.get(el);
+        if (bound.has(attr)) continue;
+        try { const un = bindFn(el, el.getAttribute(attr)); bound.set(attr, un); removers.push(() => { un(); bound.delete(attr); }); } catch (e) { log('directive bind err', attr, e); }
+      }
+    };
+    scan('data-state-each', _eachDirective);
+    scan('data-state-class', (el, v) => { const uns = _parseSpecs(v).map(sp => _addDirective(el, 'class', sp.componentId, sp.key, val => el.classList.toggle(sp.name, !!val !== sp.negate))); return () => uns.forEach(u => u()); });
+    scan('data-state-show', (el, v) => { const r = _parseRef(v); return _addDirective(el, 'show', r.componentId, r.key, val => { el.hidden = !!val === r.negate; }); });
+    scan('data-state-hide', (el, v) => { const r = _parseRef(v); return _addDirective(el, 'hide', r.componentId, r.key, val => { el.hidden = !!val !== r.negate; }); });
+    scan('data-state-attr', (el, v) => { const uns = _parseSpecs(v).map(sp => _addDirective(el, 'attr', sp.componentId, sp.key, val => _setAttr(el, sp.name, format(val, sp.fmt, { componentId: sp.componentId, key: sp.key, el })))); return () => uns.forEach(u => u()); });
+    return () => removers.forEach(fn => fn());
+  }
+
   // meta/context helpers
   function getMeta(topic) { return metaContext.get(topic); }
   function listDependencies() { return Object.fromEntries(Array.from(dependencies.entries())); }
@@ -310,14 +1042,25 @@ const StateEngine = (() => {
     set, get, batchSet, batchGet, remove,
     subscribe, addHook, addGlobalHook: (phase, cb) => { if (!globalHooks[phase]) throw createError('invalid phase','INVALID_PHASE'); globalHooks[phase].push(cb); return () => { globalHooks[phase] = globalHooks[phase].filter(x => x !== cb); }; },
     beginTransaction, commitTransaction, rollbackTransaction, undo, redo,
+    setOptimistic, getPending,
     getRegistry, getHistory, clearHistory, setHistoryCap, getMetrics,
     setDebug, setStorageMode, attachStateAPI,
+    // time-travel
+    exportTimeline, importTimeline, getTimeline, jumpTo,
+    // cross-tab sync
+    enableSync, disableSync, getSyncStatus,
+    // storage adapters
+    setStorageAdapter, createIndexedDBAdapter, hydrate, flush,
     // meta/synergy
     publishMeta, onMeta, getMeta, registerDependency, listDependencies,
+    // schemas
+    defineSchema, getSchema, validate,
+    // computed / selectors
+    computed, select, listComputed,
     // DOM
-    bindElement, _autoBind,
+    bindElement, _autoBind, bindDirectives, registerFormatter, format,
     // internals for inspection
-    _internal: { states, subscribers, keyHooks, metaContext, dependencies, txHistory }
+    _internal: { states, subscribers, keyHooks, metaContext, dependencies, txHistory, schemas, computeds }
   };
 
   return StateEngine;